@@ -1,8 +1,37 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
 require('dotenv').config();
 
 const secretKey = process.env.SECRET_KEY;
 
+// Roles a token can carry; admins moderate the platform
+const USER_ROLES = ['employer', 'candidate', 'admin'];
+
+/**
+ * Check that the session a decoded token belongs to has not been logged out,
+ * revoked or expired. Tokens issued before sessions were introduced have no
+ * `sid` and are accepted.
+ */
+const isSessionActive = async (user) => {
+  if (!user.sid) {
+    return true;
+  }
+
+  return Boolean(
+    await Session.exists({
+      _id: user.sid,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }),
+  );
+};
+
+/**
+ * Normalize a decoded token into the user attached to requests and sockets.
+ * Tokens issued before roles were introduced belong to employers.
+ */
+const toRequestUser = (user) => ({ ...user, role: user.role || 'employer' });
+
 /**
  * Middleware to authenticate JSON Web Token (JWT)
  * Ensures secure access to protected routes
@@ -19,7 +48,7 @@ const authenticateJWT = (req, res, next) => {
   const token = authHeader.split(' ')[1];
 
   // Verify the token using the secret key
-  jwt.verify(token, secretKey, (err, user) => {
+  jwt.verify(token, secretKey, async (err, user) => {
     if (err) {
       console.error('JWT Verification Error:', err.message); // Log for debugging
       return res
@@ -27,10 +56,71 @@ const authenticateJWT = (req, res, next) => {
         .json({ error: 'Forbidden: Invalid or expired token.' });
     }
 
+    // Reject tokens for roles this API doesn't know
+    if (!USER_ROLES.includes(toRequestUser(user).role)) {
+      return res
+        .status(403)
+        .json({ error: 'Forbidden: Invalid or expired token.' });
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    try {
+      if (!(await isSessionActive(user))) {
+        return res
+          .status(401)
+          .json({ error: 'Unauthorized: Session has been revoked.' });
+      }
+    } catch (sessionErr) {
+      console.error('Session lookup error:', sessionErr);
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
+
     // Attach the decoded user information to the request object
-    req.user = user;
+    req.user = toRequestUser(user);
     next(); // Proceed to the next middleware or route handler
   });
 };
 
-module.exports = { authenticateJWT, secretKey };
+/**
+ * Middleware that authenticates the JWT only when one is provided
+ * Lets public routes behave differently for signed-in users
+ */
+const optionalAuthenticateJWT = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return authenticateJWT(req, res, next);
+};
+
+/**
+ * Middleware factory to restrict a route to the given roles
+ * Must run after `authenticateJWT`
+ */
+const authorizeRoles =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json({ error: 'Unauthorized: No token provided.' });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: `Forbidden: This action requires the ${roles.join(' or ')} role.`,
+      });
+    }
+
+    next();
+  };
+
+module.exports = {
+  authenticateJWT,
+  optionalAuthenticateJWT,
+  authorizeRoles,
+  isSessionActive,
+  toRequestUser,
+  secretKey,
+  USER_ROLES,
+};
@@ -0,0 +1,47 @@
+const store = require('../services/rateLimit');
+
+/**
+ * Middleware limiting requests to `max` per `windowMs` for each key.
+ * `key(req)` returns the key to count the request under, e.g. the client
+ * IP, or a falsy value to skip the limit. Over the limit, responds with
+ * 429 and a Retry-After header.
+ * If the store fails the request is let through: an outage of the store
+ * must not take the route down with it.
+ */
+const rateLimit =
+  ({ name, windowMs, max, key, message }) =>
+  async (req, res, next) => {
+    const id = key(req);
+    if (!id) {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await store.increment(`${name}:${id}`, windowMs);
+    } catch (err) {
+      console.error(`Rate limit store error (${name}):`, err);
+      return next();
+    }
+
+    const { count, resetAt } = result;
+    const retryAfter = Math.max(
+      0,
+      Math.ceil((resetAt.getTime() - Date.now()) / 1000),
+    );
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - count)),
+      'RateLimit-Reset': String(retryAfter),
+    });
+
+    if (count > max) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: message || 'Too many requests, please try again later.',
+      });
+    }
+    next();
+  };
+
+module.exports = { rateLimit };
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Request IDs accepted from clients and proxies; others are replaced
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware to identify each request as `req.id`, echoed back in the
+ * `X-Request-Id` header. Keeps the ID a proxy or client sent, so their
+ * logs can be matched with ours.
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = VALID_REQUEST_ID.test(incoming || '')
+    ? incoming
+    : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { assignRequestId };
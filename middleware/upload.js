@@ -0,0 +1,126 @@
+const path = require('path');
+const multer = require('multer');
+require('dotenv').config();
+
+const MAX_UPLOAD_SIZE_MB = Number(process.env.MAX_UPLOAD_SIZE_MB) || 5;
+
+/**
+ * Accepted document types, with their allowed extensions and the leading
+ * bytes the file content must start with (when the format has one).
+ */
+const ALLOWED_TYPES = {
+  'application/pdf': { extensions: ['.pdf'], signature: '%PDF' },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extensions: ['.docx'],
+    signature: 'PK', // DOCX files are ZIP archives
+  },
+  'text/plain': { extensions: ['.txt'] },
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(), // Files are handed to the storage driver after validation
+  limits: { fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024, files: 2 },
+  fileFilter: (req, file, cb) => {
+    const type = ALLOWED_TYPES[file.mimetype];
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (!type || !type.extensions.includes(extension)) {
+      const err = new Error(
+        `Unsupported file type for ${file.fieldname}. Allowed: PDF, DOCX, TXT.`,
+      );
+      err.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(err);
+    }
+
+    cb(null, true);
+  },
+});
+
+const parseApplicationFiles = upload.fields([
+  { name: 'resume', maxCount: 1 },
+  { name: 'coverLetter', maxCount: 1 },
+]);
+
+/**
+ * Middleware to accept optional `resume` and `coverLetter` uploads
+ * Parses multipart bodies into `req.body` and `req.files`, enforcing
+ * size and type limits. JSON requests pass through untouched.
+ */
+const uploadApplicationFiles = (req, res, next) => {
+  parseApplicationFiles(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `File too large. Maximum size is ${MAX_UPLOAD_SIZE_MB} MB.`,
+      });
+    }
+    if (err?.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({ error: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Upload error: ${err.message}` });
+    }
+    if (err) {
+      return next(err);
+    }
+
+    // Reject files whose content does not match the declared type
+    for (const [field, files] of Object.entries(req.files || {})) {
+      const { signature } = ALLOWED_TYPES[files[0].mimetype];
+      if (
+        signature &&
+        files[0].buffer.subarray(0, signature.length).toString() !== signature
+      ) {
+        return res.status(415).json({
+          error: `The ${field} file content does not match its type.`,
+        });
+      }
+    }
+
+    next();
+  });
+};
+
+// Bulk job imports, told apart by extension since CSV MIME types vary
+const IMPORT_EXTENSIONS = ['.csv', '.json'];
+
+const parseImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!IMPORT_EXTENSIONS.includes(extension)) {
+      const err = new Error('Unsupported file type. Allowed: CSV, JSON.');
+      err.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(err);
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+/**
+ * Middleware to accept an optional `file` upload of jobs to import, as
+ * CSV or JSON. The file is left in `req.file`; JSON requests pass
+ * through untouched.
+ */
+const uploadImportFile = (req, res, next) => {
+  parseImportFile(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `File too large. Maximum size is ${MAX_UPLOAD_SIZE_MB} MB.`,
+      });
+    }
+    if (err?.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({ error: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Upload error: ${err.message}` });
+    }
+    next(err);
+  });
+};
+
+module.exports = {
+  uploadApplicationFiles,
+  uploadImportFile,
+  MAX_UPLOAD_SIZE_MB,
+};
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin Schema
+ * Represents a platform moderator who can suspend employers and take down
+ * job postings. Admins are created with `yarn admin:create`, never through
+ * the API.
+ */
+const AdminSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true, // Ensures each admin email is unique
+    },
+    password: {
+      type: String,
+      required: true, // This should store a hashed password
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model('Admin', AdminSchema);
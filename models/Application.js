@@ -1,5 +1,140 @@
 const mongoose = require('mongoose');
 
+/**
+ * Application statuses, in pipeline order.
+ * `hired`, `rejected` and `withdrawn` are terminal.
+ */
+const APPLICATION_STATUSES = [
+  'applied',
+  'screening',
+  'interview',
+  'offer',
+  'hired',
+  'rejected',
+  'withdrawn',
+];
+
+/**
+ * Legal status transitions.
+ * Maps each status to the statuses an application may move to next.
+ */
+const STATUS_TRANSITIONS = {
+  applied: ['screening', 'rejected', 'withdrawn'],
+  screening: ['interview', 'rejected', 'withdrawn'],
+  interview: ['offer', 'rejected', 'withdrawn'],
+  offer: ['hired', 'rejected', 'withdrawn'],
+  hired: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+/**
+ * Status History Schema
+ * One entry per status the application has been in.
+ */
+const StatusHistorySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: APPLICATION_STATUSES, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId }, // Employer or candidate ID, see changedByRole
+    changedByRole: { type: String, enum: ['employer', 'candidate'] },
+    note: { type: String },
+  },
+  { _id: false },
+);
+
+/**
+ * Stored File Schema
+ * Metadata for an uploaded document; the contents live in the storage driver.
+ */
+const StoredFileSchema = new mongoose.Schema(
+  {
+    storageKey: { type: String, required: true },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+/**
+ * Screening Answer Schema
+ * A candidate's answer to one of the job's screening questions. The
+ * question is copied, so answers stay readable if the job changes.
+ */
+const ScreeningAnswerSchema = new mongoose.Schema(
+  {
+    questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    prompt: { type: String, required: true },
+    type: { type: String, required: true },
+    answer: { type: mongoose.Schema.Types.Mixed, required: true },
+    knockout: { type: Boolean, default: false }, // The answer disqualifies the candidate
+  },
+  { _id: false },
+);
+
+/**
+ * Employer Note Schema
+ * A private note on an application by someone on the job's team. Only its
+ * author can change it.
+ */
+const EmployerNoteSchema = new mongoose.Schema(
+  {
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employer',
+      required: true,
+    },
+    body: { type: String, required: true },
+  },
+  { timestamps: true },
+);
+
+/**
+ * Rating Schema
+ * One reviewer's scorecard rating of an application.
+ */
+const RatingSchema = new mongoose.Schema(
+  {
+    reviewerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employer',
+      required: true,
+    },
+    score: { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String },
+    ratedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+// Feedback from the job's team, never shown to candidates
+const REVIEW_FIELDS = [
+  'employerNotes',
+  'ratings',
+  'ratingAverage',
+  'ratingCount',
+  'tags',
+];
+
+/**
+ * Normalize a tag: trimmed, lowercase, with single spaces.
+ */
+const normalizeTag = (tag) =>
+  String(tag || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+/**
+ * Normalize an email address for duplicate detection.
+ */
+const normalizeEmail = (email) =>
+  String(email || '')
+    .trim()
+    .toLowerCase();
+
 /**
  * Application Schema
  * Represents a job application submitted by a candidate.
@@ -7,8 +142,106 @@ const mongoose = require('mongoose');
 const ApplicationSchema = new mongoose.Schema({
   candidateName: { type: String, required: true },
   candidateEmail: { type: String, required: true },
+  candidateEmailNormalized: { type: String, select: false }, // Set from candidateEmail; one application per email and job
   jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  candidateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate' }, // Set when the candidate applied while signed in
   applicationDate: { type: Date, default: Date.now },
+  resume: { type: StoredFileSchema },
+  coverLetter: { type: StoredFileSchema },
+  resumeText: { type: String, select: false }, // Extracted for searching, excluded from queries by default
+  screeningAnswers: { type: [ScreeningAnswerSchema], default: [] },
+  knockedOut: { type: Boolean, default: false }, // Some screening answer disqualifies the candidate
+  status: { type: String, enum: APPLICATION_STATUSES, default: 'applied' },
+  statusHistory: {
+    type: [StatusHistorySchema],
+    default: () => [{ status: 'applied' }],
+  },
+  employerNotes: { type: [EmployerNoteSchema], select: false },
+  ratings: { type: [RatingSchema], select: false },
+  ratingAverage: { type: Number, select: false }, // Average of ratings, unset when there are none
+  ratingCount: { type: Number, select: false },
+  tags: { type: [String], select: false },
+});
+
+ApplicationSchema.pre('validate', function () {
+  if (this.isModified('candidateEmail')) {
+    this.candidateEmailNormalized = normalizeEmail(this.candidateEmail);
+  }
+  if (this.isModified('ratings')) {
+    const scores = this.ratings.map(({ score }) => score);
+    this.ratingCount = scores.length;
+    this.ratingAverage = scores.length
+      ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+      : undefined;
+  }
 });
 
+// Prevents applying to the same job twice with the same email
+ApplicationSchema.index(
+  { jobId: 1, candidateEmailNormalized: 1 },
+  { unique: true, name: 'unique_application_per_email' },
+);
+// Optimizes employer listings filtered by job and status
+ApplicationSchema.index({ jobId: 1, status: 1, applicationDate: -1 });
+// Optimizes listing the knocked out (or remaining) applications of a job
+ApplicationSchema.index({ jobId: 1, knockedOut: 1, applicationDate: -1 });
+// Optimizes the candidate's own application listing
+ApplicationSchema.index({ candidateId: 1, applicationDate: -1 });
+// Optimizes filtering a job's applications by tag or rating
+ApplicationSchema.index({ jobId: 1, tags: 1 });
+ApplicationSchema.index({ jobId: 1, ratingAverage: -1 });
+// Enables searching applications by resume content
+ApplicationSchema.index({ resumeText: 'text' });
+
+/**
+ * Check whether an application may move from one status to another.
+ */
+ApplicationSchema.statics.canTransition = function (from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Move the application to a new status and record it in the history.
+ * `actor` is `{ id, role }` of the user making the change.
+ * Throws if the transition is not allowed; the caller must save the document.
+ */
+ApplicationSchema.methods.transitionTo = function (status, actor, note) {
+  if (!this.constructor.canTransition(this.status, status)) {
+    throw new Error(
+      `Invalid status transition from '${this.status}' to '${status}'`,
+    );
+  }
+
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    changedAt: new Date(),
+    changedBy: actor?.id,
+    changedByRole: actor?.role,
+    note,
+  });
+  return this;
+};
+
+/**
+ * Set a reviewer's rating, replacing any earlier one from them, or remove
+ * it when `score` is null. The caller must save the document.
+ */
+ApplicationSchema.methods.rate = function (reviewerId, score, comment) {
+  const ratings = this.ratings.filter(
+    (rating) => rating.reviewerId.toString() !== reviewerId.toString(),
+  );
+  if (score !== null) {
+    ratings.push({ reviewerId, score, comment, ratedAt: new Date() });
+  }
+  this.ratings = ratings;
+  return this;
+};
+
+ApplicationSchema.statics.normalizeEmail = normalizeEmail;
+ApplicationSchema.statics.normalizeTag = normalizeTag;
+ApplicationSchema.statics.REVIEW_FIELDS = REVIEW_FIELDS;
+ApplicationSchema.statics.STATUSES = APPLICATION_STATUSES;
+ApplicationSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Application', ApplicationSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'auth.registered',
+  'job.created',
+  'job.updated',
+  'job.status_changed',
+  'job.deleted',
+  'job.moderated',
+  'application.status_changed',
+  'employer.suspended',
+  'employer.reinstated',
+];
+const AUDIT_TARGET_TYPES = [
+  'job',
+  'application',
+  'employer',
+  'candidate',
+  'admin',
+];
+
+// Queries that would change or delete existing entries
+const BLOCKED_QUERIES = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+];
+
+/**
+ * Audit Log Schema
+ * One action someone took, kept unchanged until its retention period ends.
+ * Entries about a job or its applications carry the job's `employerId` and
+ * `companyId`, so the job's team can read them.
+ */
+const AuditLogSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId }, // Unset for failed logins to unknown accounts
+    actorRole: { type: String, enum: ['employer', 'candidate', 'admin'] },
+    actorEmail: { type: String },
+    targetType: { type: String, enum: AUDIT_TARGET_TYPES, required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId },
+    employerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employer' }, // The job's, as on the Job
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company' },
+    changes: { type: mongoose.Schema.Types.Mixed }, // `{ field: { from, to } }`
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    ip: { type: String },
+    userAgent: { type: String },
+    requestId: { type: String },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+// Optimizes the newest-first listing and date ranges
+AuditLogSchema.index({ createdAt: -1 });
+// Optimizes filtering by actor and by target
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+// Optimizes employers' and companies' own audit trails
+AuditLogSchema.index({ employerId: 1, createdAt: -1 });
+AuditLogSchema.index({ companyId: 1, createdAt: -1 });
+// Removes entries once they are past their retention period
+AuditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Entries are append-only: refuse anything but inserting new ones
+const refuseChange = function () {
+  throw new Error('Audit log entries cannot be changed or deleted');
+};
+AuditLogSchema.pre(BLOCKED_QUERIES, refuseChange);
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+AuditLogSchema.pre('save', function () {
+  if (!this.isNew) refuseChange();
+});
+
+AuditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+AuditLogSchema.statics.TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
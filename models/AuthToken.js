@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Auth Token Schema
+ * Single-use, expiring tokens sent by email (verification, password reset).
+ * Only the hash of the token is stored.
+ */
+const AuthTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employer',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['email_verification', 'password_reset'],
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+  },
+  { timestamps: true },
+);
+
+AuthTokenSchema.index({ userId: 1, type: 1 });
+// Removes tokens once they have expired
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
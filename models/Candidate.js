@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * Candidate Schema
+ * Represents a job seeker who can apply for jobs and track their applications.
+ */
+const CandidateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true, // Ensures each candidate email is unique
+    },
+    password: {
+      type: String,
+      required: true, // This should store a hashed password
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model('Candidate', CandidateSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const COMPANY_SIZES = [
+  '1-10',
+  '11-50',
+  '51-200',
+  '201-500',
+  '501-1000',
+  '1000+',
+];
+
+/**
+ * Company Schema
+ * Represents an organization whose members manage job postings together.
+ */
+const CompanySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    website: { type: String },
+    description: { type: String },
+    logoUrl: { type: String },
+    size: { type: String, enum: COMPANY_SIZES },
+    industry: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employer' },
+  },
+  { timestamps: true },
+);
+
+CompanySchema.statics.SIZES = COMPANY_SIZES;
+
+module.exports = mongoose.model('Company', CompanySchema);
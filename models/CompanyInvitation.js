@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * Company Invitation Schema
+ * An emailed invitation to join a company. Only the hash of the accept
+ * token is stored.
+ */
+const CompanyInvitationSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: {
+      type: String,
+      enum: ['admin', 'recruiter', 'viewer'], // Ownership is granted, not invited
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employer',
+      required: true,
+    },
+    expiresAt: { type: Date, required: true },
+    acceptedAt: { type: Date },
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employer' },
+  },
+  { timestamps: true },
+);
+
+CompanyInvitationSchema.index({ companyId: 1, email: 1 });
+// Removes invitations once they have expired
+CompanyInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CompanyInvitation', CompanyInvitationSchema);
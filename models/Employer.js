@@ -10,6 +10,9 @@ const EmployerSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    company: {
+      type: String, // Company name shown on job postings
+    },
     email: {
       type: String,
       required: true,
@@ -19,8 +22,28 @@ const EmployerSchema = new mongoose.Schema(
       type: String,
       required: true, // This should store a hashed password
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    suspendedAt: {
+      type: Date, // Set while an admin has suspended the account
+    },
+    suspensionReason: {
+      type: String,
+    },
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
   },
   { timestamps: true },
 );
 
+// Optimizes hiding suspended employers' jobs
+EmployerSchema.index({ suspendedAt: 1 }, { sparse: true });
+
 module.exports = mongoose.model('Employer', EmployerSchema);
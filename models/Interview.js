@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Interview statuses.
+ * `proposed`: waiting for the candidate to pick one of the proposed slots;
+ * `reschedule_requested`: the candidate asked for other times;
+ * `scheduled`: a slot was picked; `cancelled` is terminal.
+ */
+const INTERVIEW_STATUSES = [
+  'proposed',
+  'reschedule_requested',
+  'scheduled',
+  'cancelled',
+];
+
+/**
+ * Interview Slot Schema
+ * A start time offered to the candidate; every slot lasts the interview's
+ * duration.
+ */
+const InterviewSlotSchema = new mongoose.Schema({
+  startsAt: { type: Date, required: true },
+});
+
+/**
+ * Interview Schema
+ * An interview for an application. The candidate answers through an
+ * emailed link; only the hash of its token is stored.
+ */
+const InterviewSchema = new mongoose.Schema(
+  {
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application',
+      required: true,
+    },
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    candidateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate' }, // Set when the application has one
+    candidateName: { type: String, required: true },
+    candidateEmail: { type: String, required: true },
+    organizerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employer',
+      required: true,
+    },
+    interviewerIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Employer' }],
+    title: { type: String, required: true },
+    durationMinutes: { type: Number, required: true, min: 5 },
+    location: { type: String }, // Address or video call link
+    notes: { type: String }, // Shown to the candidate
+    status: { type: String, enum: INTERVIEW_STATUSES, default: 'proposed' },
+    proposedSlots: { type: [InterviewSlotSchema], default: [] },
+    scheduledAt: { type: Date },
+    endsAt: { type: Date },
+    sequence: { type: Number, default: 0 }, // iCalendar SEQUENCE, bumped on every change to a sent invite
+    responseTokenHash: { type: String, required: true, select: false },
+    rescheduleReason: { type: String },
+    cancelledAt: { type: Date },
+    cancelledByRole: { type: String, enum: ['employer', 'candidate'] },
+    cancellationReason: { type: String },
+  },
+  { timestamps: true },
+);
+
+// Optimizes listing an application's interviews
+InterviewSchema.index({ applicationId: 1, createdAt: -1 });
+// Optimizes listing a job's interviews
+InterviewSchema.index({ jobId: 1, scheduledAt: 1 });
+// Optimizes conflict detection for organizers and interviewers
+InterviewSchema.index({ organizerId: 1, status: 1, scheduledAt: 1 });
+InterviewSchema.index({ interviewerIds: 1, status: 1, scheduledAt: 1 });
+// Looks up the interview behind a candidate's link
+InterviewSchema.index({ responseTokenHash: 1 }, { unique: true });
+
+InterviewSchema.statics.STATUSES = INTERVIEW_STATUSES;
+
+module.exports = mongoose.model('Interview', InterviewSchema);
@@ -1,5 +1,114 @@
 const mongoose = require('mongoose');
 
+const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'contract', 'internship'];
+const REMOTE_POLICIES = ['remote', 'hybrid', 'onsite'];
+const SENIORITY_LEVELS = [
+  'intern',
+  'junior',
+  'mid',
+  'senior',
+  'lead',
+  'principal',
+];
+const SALARY_PERIODS = ['hour', 'day', 'week', 'month', 'year'];
+const SCREENING_QUESTION_TYPES = [
+  'text',
+  'boolean',
+  'single_choice',
+  'multiple_choice',
+  'number',
+];
+
+// What happens to an application with a knockout answer
+const KNOCKOUT_ACTIONS = ['flag', 'reject'];
+
+/**
+ * Moderator actions on a job. `unpublished` jobs are closed and can't be
+ * published again by their employer; `removed` jobs are archived.
+ */
+const MODERATION_ACTIONS = ['unpublished', 'removed'];
+
+/**
+ * Job posting statuses. Only `published` jobs are listed and accept
+ * applications; `archived` is terminal.
+ */
+const JOB_STATUSES = [
+  'draft',
+  'scheduled',
+  'published',
+  'paused',
+  'closed',
+  'archived',
+];
+
+/**
+ * Legal status transitions.
+ * Maps each status to the statuses a job may move to next.
+ */
+const STATUS_TRANSITIONS = {
+  draft: ['scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['paused', 'closed', 'archived'],
+  paused: ['published', 'closed', 'archived'],
+  closed: ['published', 'archived'],
+  archived: [],
+};
+
+/**
+ * Split a title into the lowercase words matched by prefix searches.
+ */
+const tokenize = (text) => [
+  ...new Set(
+    String(text || '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || [],
+  ),
+];
+
+// GeoJSON point; coordinates are [longitude, latitude]
+const PointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: undefined },
+  },
+  { _id: false },
+);
+
+/**
+ * Screening Question Schema
+ * A question candidates answer when applying. Knockout rules describe the
+ * answers that disqualify a candidate; candidates don't see them.
+ */
+const ScreeningQuestionSchema = new mongoose.Schema({
+  prompt: { type: String, required: true },
+  type: { type: String, enum: SCREENING_QUESTION_TYPES, required: true },
+  required: { type: Boolean, default: false },
+  options: { type: [String], default: undefined }, // Choice questions only
+  min: { type: Number }, // Number questions: the accepted range
+  max: { type: Number },
+  knockoutAnswers: { type: [mongoose.Schema.Types.Mixed], default: undefined }, // Yes/no and choice questions
+  knockoutBelow: { type: Number }, // Number questions: answers outside this range disqualify
+  knockoutAbove: { type: Number },
+});
+
+/**
+ * Moderation Schema
+ * Why and by whom an admin took a job down.
+ */
+const ModerationSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: MODERATION_ACTIONS, required: true },
+    reason: { type: String, required: true },
+    moderatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true,
+    },
+    moderatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
 /**
  * Job Schema
  * Represents job postings by employers.
@@ -7,21 +116,160 @@ const mongoose = require('mongoose');
 const JobSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
+    titleTokens: { type: [String], select: false }, // Kept in sync with the title for prefix search
     description: { type: String, required: true },
     location: { type: String, required: true },
+    geoLocation: { type: PointSchema, default: undefined }, // For radius search
     salaryRange: {
       min: { type: Number, required: true },
       max: { type: Number, required: true },
+      currency: { type: String, uppercase: true, default: 'USD' }, // ISO 4217 code
+      period: { type: String, enum: SALARY_PERIODS, default: 'year' },
+    },
+    employmentType: {
+      type: String,
+      enum: EMPLOYMENT_TYPES,
+      default: 'full-time',
     },
-    employerId: { type: String, required: true },
+    remotePolicy: { type: String, enum: REMOTE_POLICIES, default: 'onsite' },
+    seniority: { type: String, enum: SENIORITY_LEVELS },
+    skills: {
+      type: [String],
+      default: [],
+      // Stored lowercase and de-duplicated so filters match regardless of case
+      set: (skills) => [
+        ...new Set(skills.map((skill) => skill.trim().toLowerCase())),
+      ],
+    },
+    applicationDeadline: { type: Date },
+    maxApplications: { type: Number, min: 1 }, // Applications are refused once this many are active; unset for no limit
+    screeningQuestions: { type: [ScreeningQuestionSchema], default: [] },
+    knockoutAction: { type: String, enum: KNOCKOUT_ACTIONS, default: 'flag' },
+    expiresAt: { type: Date }, // Hidden from search after this date
+    status: { type: String, enum: JOB_STATUSES, default: 'published' },
+    publishAt: { type: Date }, // When a scheduled job is published
+    closeAt: { type: Date }, // When a published or paused job is closed
+    publishedAt: { type: Date },
+    closedAt: { type: Date },
+    archivedAt: { type: Date },
+    alertsSentAt: { type: Date }, // Set once saved-search alerts went out, so republishing doesn't repeat them
+    moderation: { type: ModerationSchema }, // Set when an admin took the job down
+    employerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employer',
+      required: true,
+    },
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company' }, // Empty for personal postings
   },
   { timestamps: true },
 );
 
+// Employer summary, filled in with `.populate('employer', 'name company')`
+JobSchema.virtual('employer', {
+  ref: 'Employer',
+  localField: 'employerId',
+  foreignField: '_id',
+  justOne: true,
+});
+
+// Set through the API as `{ lat, lng }`, stored as a GeoJSON point
+JobSchema.virtual('coordinates')
+  .get(function () {
+    const [lng, lat] = this.geoLocation?.coordinates || [];
+    return lat === undefined ? undefined : { lat, lng };
+  })
+  .set(function (coordinates) {
+    this.geoLocation = coordinates
+      ? { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] }
+      : undefined;
+  });
+
+JobSchema.pre('save', function () {
+  if (this.isModified('title')) {
+    this.titleTokens = tokenize(this.title);
+  }
+});
+
 // Indexing for faster searches
-JobSchema.index({ title: 'text', location: 'text' }); // Enables text search
+JobSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'job_text_search', weights: { title: 10, description: 1 } },
+); // Enables keyword search, ranking title matches first
+JobSchema.index({ titleTokens: 1 }); // Optimizes title prefix search
+JobSchema.index({ geoLocation: '2dsphere' }); // Enables radius search
 JobSchema.index({ 'salaryRange.min': 1, 'salaryRange.max': -1 }); // Optimizes salary filtering
+JobSchema.index({ createdAt: -1, _id: -1 }); // Optimizes newest-first listing and cursor pagination
+JobSchema.index({ employmentType: 1, remotePolicy: 1, seniority: 1 }); // Optimizes attribute filters
+JobSchema.index({ skills: 1 }); // Optimizes skill filters
+JobSchema.index({ expiresAt: 1 }); // Optimizes hiding expired jobs
+JobSchema.index({ status: 1, publishAt: 1 }); // Optimizes the scheduler
+JobSchema.index({ status: 1, closeAt: 1 });
+JobSchema.index({ employerId: 1, createdAt: -1 }); // Optimizes the employer's own listings
+JobSchema.index({ companyId: 1, status: 1 }); // Optimizes company listings
 
-module.exports = mongoose.model('Job', JobSchema);
+/**
+ * Check whether a job may move from one status to another.
+ */
+JobSchema.statics.canTransition = function (from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Move the job to a new status and stamp the matching date.
+ * Throws if the transition is not allowed; the caller must save the document.
+ */
+JobSchema.methods.transitionTo = function (status) {
+  if (!this.constructor.canTransition(this.status, status)) {
+    throw new Error(
+      `Invalid status transition from '${this.status}' to '${status}'`,
+    );
+  }
+
+  const now = new Date();
+  this.status = status;
+  if (status === 'published') {
+    this.publishedAt = now;
+    this.publishAt = undefined;
+    this.closedAt = undefined;
+  } else if (status === 'closed') {
+    this.closedAt = now;
+    this.closeAt = undefined;
+  } else if (status === 'archived') {
+    this.archivedAt = now;
+  } else if (status === 'draft') {
+    this.publishAt = undefined;
+  }
+  return this;
+};
+
+/**
+ * Take the job down as a moderator, whatever its status: `unpublished`
+ * closes it, `removed` archives it. The caller must save the document.
+ */
+JobSchema.methods.moderate = function (action, reason, moderatorId) {
+  const now = new Date();
+  if (action === 'removed') {
+    this.status = 'archived';
+    this.archivedAt = now;
+  } else if (!['closed', 'archived'].includes(this.status)) {
+    this.status = 'closed';
+    this.closedAt = now;
+  }
+  this.publishAt = undefined;
+  this.closeAt = undefined;
+  this.moderation = { action, reason, moderatorId, moderatedAt: now };
+  return this;
+};
+
+JobSchema.statics.tokenize = tokenize;
+JobSchema.statics.EMPLOYMENT_TYPES = EMPLOYMENT_TYPES;
+JobSchema.statics.REMOTE_POLICIES = REMOTE_POLICIES;
+JobSchema.statics.SENIORITY_LEVELS = SENIORITY_LEVELS;
+JobSchema.statics.SALARY_PERIODS = SALARY_PERIODS;
+JobSchema.statics.SCREENING_QUESTION_TYPES = SCREENING_QUESTION_TYPES;
+JobSchema.statics.KNOCKOUT_ACTIONS = KNOCKOUT_ACTIONS;
+JobSchema.statics.MODERATION_ACTIONS = MODERATION_ACTIONS;
+JobSchema.statics.STATUSES = JOB_STATUSES;
+JobSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
 
 module.exports = mongoose.model('Job', JobSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = [
+  'spam',
+  'scam',
+  'offensive',
+  'discriminatory',
+  'misleading',
+  'other',
+];
+
+/**
+ * Report statuses. `open` reports wait in the moderation queue until an
+ * admin takes the job down (`actioned`) or finds nothing wrong
+ * (`dismissed`).
+ */
+const REPORT_STATUSES = ['open', 'actioned', 'dismissed'];
+
+/**
+ * Job Report Schema
+ * A candidate's complaint about a job posting, for admins to review.
+ */
+const JobReportSchema = new mongoose.Schema(
+  {
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    reporterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Candidate',
+      required: true,
+    },
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    details: { type: String },
+    status: { type: String, enum: REPORT_STATUSES, default: 'open' },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    resolvedAt: { type: Date },
+    resolutionNote: { type: String },
+  },
+  { timestamps: true },
+);
+
+JobReportSchema.index({ jobId: 1, reporterId: 1 }, { unique: true }); // One report per candidate and job
+JobReportSchema.index({ status: 1, createdAt: 1 }); // Optimizes the moderation queue, oldest first
+
+JobReportSchema.statics.REASONS = REPORT_REASONS;
+JobReportSchema.statics.STATUSES = REPORT_STATUSES;
+
+module.exports = mongoose.model('JobReport', JobReportSchema);
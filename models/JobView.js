@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job View Schema
+ * A visitor who viewed a job on a given day. Each visitor counts once per
+ * job per UTC day; visitors are identified by a hash, never stored raw.
+ */
+const JobViewSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  day: { type: Date, required: true }, // Midnight UTC of the day of the view
+  visitorKey: { type: String, required: true }, // Hash of the user, or of IP and user agent
+  expiresAt: { type: Date, required: true },
+});
+
+// Counts each visitor once per job and day, and optimizes counting a job's views
+JobViewSchema.index({ jobId: 1, day: 1, visitorKey: 1 }, { unique: true });
+// Removes views once they are past their retention period
+JobViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('JobView', JobViewSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Membership roles, from most to least privileged.
+ * - owner: everything, including managing owners
+ * - admin: company profile, members and invitations
+ * - recruiter: create and manage job postings and applications
+ * - viewer: read-only access to job postings and applications
+ */
+const MEMBERSHIP_ROLES = ['owner', 'admin', 'recruiter', 'viewer'];
+
+/**
+ * Membership Schema
+ * Links an employer user to a company with a role.
+ */
+const MembershipSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    employerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employer',
+      required: true,
+    },
+    role: { type: String, enum: MEMBERSHIP_ROLES, required: true },
+  },
+  { timestamps: true },
+);
+
+MembershipSchema.index({ companyId: 1, employerId: 1 }, { unique: true }); // One membership per company
+MembershipSchema.index({ employerId: 1 }); // Optimizes "my companies"
+
+/**
+ * Check whether a role grants at least the privileges of another role.
+ */
+MembershipSchema.statics.roleAtLeast = function (role, minimumRole) {
+  const rank = MEMBERSHIP_ROLES.indexOf(role);
+  return rank !== -1 && rank <= MEMBERSHIP_ROLES.indexOf(minimumRole);
+};
+
+MembershipSchema.statics.ROLES = MEMBERSHIP_ROLES;
+
+module.exports = mongoose.model('Membership', MembershipSchema);
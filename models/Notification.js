@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Schema
+ * One real-time event as delivered to one user. Kept so that users who were
+ * offline can read it later, and so reconnecting sockets can replay it.
+ */
+const NotificationSchema = new mongoose.Schema(
+  {
+    recipientId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Employer or candidate ID, see recipientRole
+    recipientRole: {
+      type: String,
+      enum: ['employer', 'candidate'],
+      required: true,
+    },
+    type: { type: String, required: true }, // The Socket.IO event name, e.g. `newApplication`
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    readAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, minimize: false },
+);
+
+// Optimizes the inbox listing and replay, both ordered by ID
+NotificationSchema.index({ recipientId: 1, recipientRole: 1, _id: -1 });
+// Optimizes the unread count
+NotificationSchema.index({ recipientId: 1, recipientRole: 1, readAt: 1 });
+// Removes notifications once they are past their retention period
+NotificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
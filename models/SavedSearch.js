@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Job = require('./Job');
+
+/**
+ * How often matching jobs are emailed. Matches are always sent in real time
+ * to connected clients and the notification inbox.
+ */
+const EMAIL_FREQUENCIES = ['daily', 'weekly', 'never'];
+
+// Jobs remembered per search until the next digest
+const MAX_PENDING_JOBS = 50;
+
+/**
+ * Search Criteria Schema
+ * The same filters as `GET /api/jobs`.
+ */
+const SearchCriteriaSchema = new mongoose.Schema(
+  {
+    title: { type: String },
+    location: { type: String },
+    minSalary: { type: Number },
+    maxSalary: { type: Number },
+    currency: { type: String, uppercase: true },
+    salaryPeriod: { type: String, enum: Job.SALARY_PERIODS },
+    employmentType: {
+      type: [{ type: String, enum: Job.EMPLOYMENT_TYPES }],
+      default: undefined,
+    },
+    remotePolicy: {
+      type: [{ type: String, enum: Job.REMOTE_POLICIES }],
+      default: undefined,
+    },
+    seniority: {
+      type: [{ type: String, enum: Job.SENIORITY_LEVELS }],
+      default: undefined,
+    },
+    skills: { type: [String], default: undefined },
+  },
+  { _id: false },
+);
+
+/**
+ * Saved Search Schema
+ * A candidate's job search that alerts them about new matching jobs.
+ */
+const SavedSearchSchema = new mongoose.Schema(
+  {
+    candidateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Candidate',
+      required: true,
+    },
+    name: { type: String, required: true },
+    criteria: { type: SearchCriteriaSchema, default: () => ({}) },
+    emailFrequency: {
+      type: String,
+      enum: EMAIL_FREQUENCIES,
+      default: 'daily',
+    },
+    active: { type: Boolean, default: true }, // Paused searches send no alerts
+    unsubscribeToken: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    pendingJobIds: { type: [mongoose.Schema.Types.ObjectId], default: [] }, // Matches not yet emailed
+    lastDigestAt: { type: Date },
+  },
+  { timestamps: true },
+);
+
+// Optimizes the candidate's own listing
+SavedSearchSchema.index({ candidateId: 1, createdAt: -1 });
+// Optimizes finding searches to match new jobs against
+SavedSearchSchema.index({ active: 1 });
+// Optimizes finding searches with a digest due
+SavedSearchSchema.index({ emailFrequency: 1, lastDigestAt: 1 });
+
+SavedSearchSchema.statics.EMAIL_FREQUENCIES = EMAIL_FREQUENCIES;
+SavedSearchSchema.statics.MAX_PENDING_JOBS = MAX_PENDING_JOBS;
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * One login session, identified in access tokens by its `sid` claim.
+ * Holds the hash of the current refresh token; rotated hashes are kept so
+ * that reuse of an old refresh token can be detected.
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    email: { type: String, required: true },
+    role: {
+      type: String,
+      enum: ['employer', 'candidate', 'admin'],
+      required: true,
+    },
+    refreshTokenHash: { type: String, required: true },
+    rotatedTokenHashes: { type: [String], default: [] },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    userAgent: { type: String },
+    ip: { type: String },
+  },
+  { timestamps: true },
+);
+
+// Optimizes "log out all sessions"
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+// Removes sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Events a webhook can subscribe to.
+ */
+const WEBHOOK_EVENTS = [
+  'job.created',
+  'job.updated',
+  'job.closed',
+  'application.created',
+  'application.status_changed',
+];
+
+/**
+ * Webhook Schema
+ * An endpoint that receives signed job and application events. Belongs to
+ * a company when `companyId` is set, otherwise to the employer who created
+ * it, and receives events for the jobs they own.
+ */
+const WebhookSchema = new mongoose.Schema(
+  {
+    employerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employer',
+      required: true,
+    },
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company' },
+    url: { type: String, required: true },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: (events) => events.length > 0,
+    },
+    description: { type: String },
+    secret: { type: String, required: true, select: false }, // Signs payloads; only shown when created
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true },
+);
+
+// Optimizes finding the webhooks subscribed to a job's events
+WebhookSchema.index({ companyId: 1, employerId: 1, active: 1 });
+
+WebhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Delivery statuses.
+ * - pending: waiting for its first or next attempt
+ * - succeeded: the endpoint answered with a 2xx status
+ * - failed: gave up after the maximum number of attempts
+ */
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * Webhook Delivery Schema
+ * One event queued for one webhook, with the outcome of its latest attempt.
+ */
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // The exact body sent
+    status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastAttemptAt: { type: Date },
+    responseStatus: { type: Number },
+    responseBody: { type: String }, // Truncated
+    error: { type: String },
+    deliveredAt: { type: Date },
+    redeliveryOf: { type: mongoose.Schema.Types.ObjectId }, // Set for manual redeliveries
+  },
+  { timestamps: true, minimize: false },
+);
+
+// Optimizes picking the deliveries that are due
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Optimizes the delivery log
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+WebhookDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,767 @@
+const express = require('express');
+const { check, validationResult, param, query } = require('express-validator');
+const router = express.Router();
+const Employer = require('../models/Employer');
+const Job = require('../models/Job');
+const JobReport = require('../models/JobReport');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { escapeRegExp } = require('../services/jobSearch');
+const { revokeAllSessions } = require('../services/sessions');
+const { resolveJobReports } = require('../services/moderation');
+const { invalidateSuggestions } = require('../services/jobSuggestions');
+const { notifyJobTeam } = require('../services/notifications');
+const { emitWebhookEvent } = require('../services/webhooks');
+const { snapshot, diffSnapshots, recordAudit } = require('../services/audit');
+
+// Employer fields shown to admins; never the password
+const EMPLOYER_FIELDS =
+  'name company email emailVerified suspendedAt suspensionReason suspendedBy createdAt';
+
+// Job fields shown alongside reports
+const REPORTED_JOB_FIELDS = 'title status employerId companyId moderation';
+
+const EMPLOYER_STATUSES = ['active', 'suspended'];
+
+const paginationValidators = () => [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+];
+
+const REASON_MESSAGE = 'A reason of at most 500 characters is required';
+const reasonValidator = () =>
+  check('reason')
+    .isString()
+    .withMessage(REASON_MESSAGE)
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage(REASON_MESSAGE);
+
+const pagination = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+});
+
+/**
+ * @swagger
+ * /api/admin/employers:
+ *   get:
+ *     summary: List and search employer accounts.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Match part of the name, email or company name.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended]
+ *         description: Only return active or suspended employers.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of employers per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A page of employers, newest first, each with the number of jobs they posted.
+ *       400:
+ *         description: Input validation error.
+ *       401:
+ *         description: Missing or revoked token.
+ *       403:
+ *         description: Invalid token, or the caller is not an admin.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/employers',
+  authenticateJWT,
+  authorizeRoles('admin'),
+  [
+    query('q')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('q must be at most 100 characters'),
+    query('status')
+      .optional()
+      .isIn(EMPLOYER_STATUSES)
+      .withMessage(`status must be one of: ${EMPLOYER_STATUSES.join(', ')}`),
+    ...paginationValidators(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      const filters = {};
+
+      if (req.query.q) {
+        const pattern = new RegExp(escapeRegExp(req.query.q.trim()), 'i');
+        filters.$or = [
+          { name: pattern },
+          { email: pattern },
+          { company: pattern },
+        ];
+      }
+      if (req.query.status) {
+        filters.suspendedAt = { $exists: req.query.status === 'suspended' };
+      }
+
+      const [employers, total] = await Promise.all([
+        Employer.find(filters)
+          .select(EMPLOYER_FIELDS)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Employer.countDocuments(filters),
+      ]);
+
+      // Count the jobs of the employers on this page
+      const counts = await Job.aggregate([
+        { $match: { employerId: { $in: employers.map(({ _id }) => _id) } } },
+        { $group: { _id: '$employerId', count: { $sum: 1 } } },
+      ]);
+      const countByEmployer = Object.fromEntries(
+        counts.map(({ _id, count }) => [_id.toString(), count]),
+      );
+      employers.forEach((employer) => {
+        employer.jobCount = countByEmployer[employer._id.toString()] || 0;
+      });
+
+      res.json({ employers, pagination: pagination(page, limit, total) });
+    } catch (err) {
+      console.error('Error listing employers:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/admin/employers/{id}/suspend:
+ *   post:
+ *     summary: Suspend an employer account.
+ *     description: |
+ *       Logs the employer out of every session and refuses their logins.
+ *       Their jobs are hidden from candidates until they are reinstated.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the employer.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Employer suspended.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an admin.
+ *       404:
+ *         description: Employer not found.
+ *       409:
+ *         description: Employer is already suspended.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/employers/:id/suspend',
+  authenticateJWT,
+  authorizeRoles('admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid employer ID'),
+    reasonValidator(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const employer = await Employer.findById(req.params.id).select(
+        EMPLOYER_FIELDS,
+      );
+      if (!employer) {
+        return res.status(404).json({ error: 'Employer not found' });
+      }
+      if (employer.suspendedAt) {
+        return res.status(409).json({ error: 'Employer is already suspended' });
+      }
+
+      employer.suspendedAt = new Date();
+      employer.suspensionReason = req.body.reason;
+      employer.suspendedBy = req.user.id;
+      await employer.save();
+      await revokeAllSessions(employer._id, 'suspended');
+      invalidateSuggestions();
+      recordAudit(req, {
+        action: 'employer.suspended',
+        target: { type: 'employer', id: employer._id },
+        metadata: { reason: req.body.reason },
+      });
+
+      res.json(employer);
+    } catch (err) {
+      console.error('Error suspending employer:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/admin/employers/{id}/reinstate:
+ *   post:
+ *     summary: Lift an employer's suspension.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the employer.
+ *     responses:
+ *       200:
+ *         description: Employer reinstated.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an admin.
+ *       404:
+ *         description: Employer not found.
+ *       409:
+ *         description: Employer is not suspended.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/employers/:id/reinstate',
+  authenticateJWT,
+  authorizeRoles('admin'),
+  [param('id').isMongoId().withMessage('Invalid employer ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const employer = await Employer.findById(req.params.id).select(
+        EMPLOYER_FIELDS,
+      );
+      if (!employer) {
+        return res.status(404).json({ error: 'Employer not found' });
+      }
+      if (!employer.suspendedAt) {
+        return res.status(409).json({ error: 'Employer is not suspended' });
+      }
+
+      const { suspensionReason } = employer;
+      employer.suspendedAt = undefined;
+      employer.suspensionReason = undefined;
+      employer.suspendedBy = undefined;
+      await employer.save();
+      invalidateSuggestions();
+      recordAudit(req, {
+        action: 'employer.reinstated',
+        target: { type: 'employer', id: employer._id },
+        metadata: { suspensionReason },
+      });
+
+      res.json(employer);
+    } catch (err) {
+      console.error('Error reinstating employer:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * Route handler taking a job down with the given moderation action,
+ * resolving its open reports.
+ */
+const moderateJob = (action) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.moderation?.action === 'removed' || job.status === 'archived') {
+      return res.status(409).json({ error: 'Job is already archived' });
+    }
+    if (job.moderation?.action === action) {
+      return res.status(409).json({ error: `Job is already ${action}` });
+    }
+
+    const { reason } = req.body;
+    const before = snapshot(job);
+    const previousStatus = job.status;
+    job.moderate(action, reason, req.user.id);
+    await job.save();
+    invalidateSuggestions();
+    await resolveJobReports(job._id, 'actioned', req.user.id, reason);
+    recordAudit(req, {
+      action: 'job.moderated',
+      target: { type: 'job', id: job._id },
+      job,
+      changes: diffSnapshots(before, snapshot(job)),
+    });
+
+    notifyJobTeam(req.io, job, 'jobModerated', {
+      jobId: job._id,
+      title: job.title,
+      action,
+      reason,
+      status: job.status,
+      previousStatus,
+    });
+    if (job.status === 'closed' && previousStatus !== 'closed') {
+      emitWebhookEvent('job.closed', job, { job: job.toObject() });
+    }
+
+    res.json(job);
+  } catch (err) {
+    console.error(`Error moderating job (${action}):`, err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/jobs/{id}/unpublish:
+ *   post:
+ *     summary: Unpublish a job posting.
+ *     description: |
+ *       Closes the job, whatever its status, and records why. Its employer
+ *       cannot publish it again. Open reports about the job are marked
+ *       `actioned`, and the job's team is notified with a `jobModerated`
+ *       event.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the job.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Job unpublished.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an admin.
+ *       404:
+ *         description: Job not found.
+ *       409:
+ *         description: Job is already unpublished or archived.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/jobs/:id/unpublish',
+  authenticateJWT,
+  authorizeRoles('admin'),
+  [param('id').isMongoId().withMessage('Invalid job ID'), reasonValidator()],
+  moderateJob('unpublished'),
+);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{id}/remove:
+ *   post:
+ *     summary: Remove a job posting.
+ *     description: |
+ *       Archives the job for good and records why; applications to it are
+ *       kept. Open reports about the job are marked `actioned`, and the
+ *       job's team is notified with a `jobModerated` event.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the job.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Job removed.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an admin.
+ *       404:
+ *         description: Job not found.
+ *       409:
+ *         description: Job is already archived.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/jobs/:id/remove',
+  authenticateJWT,
+  authorizeRoles('admin'),
+  [param('id').isMongoId().withMessage('Invalid job ID'), reasonValidator()],
+  moderateJob('removed'),
+);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{id}/dismiss-reports:
+ *   post:
+ *     summary: Dismiss the open reports about a job.
+ *     description: Takes the job off the moderation queue without acting on it.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the job.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Reports dismissed; returns how many.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an admin.
+ *       404:
+ *         description: The job has no open reports.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/jobs/:id/dismiss-reports',
+  authenticateJWT,
+  authorizeRoles('admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid job ID'),
+    check('note')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('note must be at most 500 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await resolveJobReports(
+        req.params.id,
+        'dismissed',
+        req.user.id,
+        req.body.note,
+      );
+      if (!result.modifiedCount) {
+        return res.status(404).json({ error: 'No open reports for this job' });
+      }
+
+      res.json({
+        message: 'Reports dismissed',
+        dismissedReports: result.modifiedCount,
+      });
+    } catch (err) {
+      console.error('Error dismissing job reports:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/admin/moderation-queue:
+ *   get:
+ *     summary: Jobs with open reports, most reported first.
+ *     description: Ties are broken by the oldest report, so nothing waits forever.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of jobs per page (max 100).
+ *     responses:
+ *       200:
+ *         description: |
+ *           A page of `{ job, reportCount, reasons, firstReportedAt,
+ *           lastReportedAt }`, where `reasons` counts the reports by reason.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an admin.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/moderation-queue',
+  authenticateJWT,
+  authorizeRoles('admin'),
+  paginationValidators(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+
+      const [result] = await JobReport.aggregate([
+        { $match: { status: 'open' } },
+        {
+          $group: {
+            _id: '$jobId',
+            reportCount: { $sum: 1 },
+            reasons: { $push: '$reason' },
+            firstReportedAt: { $min: '$createdAt' },
+            lastReportedAt: { $max: '$createdAt' },
+          },
+        },
+        { $sort: { reportCount: -1, firstReportedAt: 1, _id: 1 } },
+        {
+          $facet: {
+            items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ]);
+
+      const jobs = await Job.find({
+        _id: { $in: result.items.map(({ _id }) => _id) },
+      })
+        .select(REPORTED_JOB_FIELDS)
+        .lean();
+      const jobById = new Map(jobs.map((job) => [job._id.toString(), job]));
+
+      const items = result.items.map(({ _id, reasons, ...entry }) => ({
+        job: jobById.get(_id.toString()) || { _id },
+        ...entry,
+        reasons: reasons.reduce(
+          (counts, reason) => ({
+            ...counts,
+            [reason]: (counts[reason] || 0) + 1,
+          }),
+          {},
+        ),
+      }));
+
+      res.json({
+        items,
+        pagination: pagination(page, limit, result.total[0]?.count || 0),
+      });
+    } catch (err) {
+      console.error('Error fetching moderation queue:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/admin/reports:
+ *   get:
+ *     summary: List job reports.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         description: Only return reports about this job.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, actioned, dismissed]
+ *         description: Only return reports in this status.
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [spam, scam, offensive, discriminatory, misleading, other]
+ *         description: Only return reports for this reason.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of reports per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A page of reports, newest first, each with a summary of its job.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an admin.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/reports',
+  authenticateJWT,
+  authorizeRoles('admin'),
+  [
+    query('jobId').optional().isMongoId().withMessage('Invalid job ID'),
+    query('status')
+      .optional()
+      .isIn(JobReport.STATUSES)
+      .withMessage(`status must be one of: ${JobReport.STATUSES.join(', ')}`),
+    query('reason')
+      .optional()
+      .isIn(JobReport.REASONS)
+      .withMessage(`reason must be one of: ${JobReport.REASONS.join(', ')}`),
+    ...paginationValidators(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      const filters = {};
+      for (const key of ['jobId', 'status', 'reason']) {
+        if (req.query[key]) {
+          filters[key] = req.query[key];
+        }
+      }
+
+      const [reports, total] = await Promise.all([
+        JobReport.find(filters)
+          .populate('jobId', REPORTED_JOB_FIELDS)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        JobReport.countDocuments(filters),
+      ]);
+
+      res.json({ reports, pagination: pagination(page, limit, total) });
+    } catch (err) {
+      console.error('Error listing job reports:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,418 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const router = express.Router();
+const Job = require('../models/Job');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { canViewJob, jobAccessFilter } = require('../services/companyAccess');
+const { INTERVALS, jobStats, overview } = require('../services/jobAnalytics');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const sortBy = (field, direction) => ({ [field]: direction, _id: direction });
+const SORT_OPTIONS = {
+  views: sortBy('views', 1),
+  '-views': sortBy('views', -1),
+  applications: sortBy('applications', 1),
+  '-applications': sortBy('applications', -1),
+  conversionRate: sortBy('conversionRate', 1),
+  '-conversionRate': sortBy('conversionRate', -1),
+  createdAt: sortBy('createdAt', 1),
+  '-createdAt': sortBy('createdAt', -1),
+};
+const DEFAULT_SORT = '-views';
+
+/**
+ * Validators for the jobs and period reported on, shared by every endpoint.
+ */
+const scopeValidators = () => [
+  query('jobId').optional().isMongoId().withMessage('Invalid job ID'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be ISO 8601 dates'),
+  query('to')
+    .optional()
+    .custom(
+      (to, { req }) =>
+        !req.query.from || new Date(req.query.from) < new Date(to),
+    )
+    .withMessage('from must be before to'),
+  query('from')
+    .optional()
+    .custom(
+      (from, { req }) =>
+        new Date(req.query.to || Date.now()) - new Date(from) <=
+        MAX_RANGE_DAYS * 86400000,
+    )
+    .withMessage(`The period cannot be longer than ${MAX_RANGE_DAYS} days`),
+  query('companyId').optional().isMongoId().withMessage('Invalid company ID'),
+];
+
+/**
+ * The reporting period: `to` defaults to now and `from` to 30 days before.
+ */
+const resolveRange = (req) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 86400000);
+  return { from, to, interval: req.query.interval || 'day' };
+};
+
+/**
+ * IDs of the jobs to report on: one job the employer can see, or every
+ * job the employer or their companies own, optionally of one company.
+ * Sends the error response and resolves with null when not allowed.
+ */
+const resolveJobIds = async (req, res) => {
+  if (req.query.jobId) {
+    const job = await Job.findById(req.query.jobId)
+      .select('_id employerId companyId')
+      .lean();
+    if (!job) {
+      res.status(404).json({ error: 'Job not found' });
+      return null;
+    }
+    if (!(await canViewJob(job, req.user))) {
+      res.status(403).json({
+        error: 'Forbidden: You cannot view analytics for this job.',
+      });
+      return null;
+    }
+    return [job._id];
+  }
+
+  const filters = await jobAccessFilter(req.user.id);
+  if (req.query.companyId) {
+    filters.companyId = req.query.companyId;
+  }
+  return Job.find(filters).distinct('_id');
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobAnalytics:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         status:
+ *           type: string
+ *         companyId:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *         views:
+ *           type: integer
+ *           description: Views in the period, counting each visitor once a day.
+ *         applications:
+ *           type: integer
+ *           description: Applications received in the period.
+ *         conversionRate:
+ *           type: number
+ *           nullable: true
+ *           description: Applications per view; null without views.
+ *         firstApplicationAt:
+ *           type: string
+ *           format: date-time
+ *         timeToFirstApplicationHours:
+ *           type: number
+ *           nullable: true
+ *           description: Hours from publication to the first application ever.
+ */
+
+/**
+ * @swagger
+ * /api/analytics/overview:
+ *   get:
+ *     summary: Dashboard numbers for the employer's jobs.
+ *     description: |
+ *       Totals, the application pipeline funnel, and views and applications
+ *       per day or week, for one job or all the employer's jobs. Views
+ *       count each visitor once per job per day; views by the job's team
+ *       are not counted. The period defaults to the last 30 days.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Analytics
+ *     parameters:
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         description: Only report on this job.
+ *       - in: query
+ *         name: companyId
+ *         schema:
+ *           type: string
+ *         description: Only report on this company's jobs.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the period.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the period (at most 366 days after from).
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *         description: Bucket size of the time series. Weeks start on Monday (UTC).
+ *     responses:
+ *       200:
+ *         description: The dashboard numbers.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 range:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     interval:
+ *                       type: string
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: integer
+ *                     views:
+ *                       type: integer
+ *                     applications:
+ *                       type: integer
+ *                     conversionRate:
+ *                       type: number
+ *                       nullable: true
+ *                     averageTimeToFirstApplicationHours:
+ *                       type: number
+ *                       nullable: true
+ *                 funnel:
+ *                   type: array
+ *                   description: |
+ *                     For the applications received in the period, in pipeline
+ *                     order: how many are in each status now, and how many
+ *                     were ever in it.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       status:
+ *                         type: string
+ *                       current:
+ *                         type: integer
+ *                       reached:
+ *                         type: integer
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       periodStart:
+ *                         type: string
+ *                         format: date-time
+ *                       views:
+ *                         type: integer
+ *                       applications:
+ *                         type: integer
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: The job does not belong to the employer or their company.
+ *       404:
+ *         description: Job not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/overview',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    ...scopeValidators(),
+    query('interval')
+      .optional()
+      .isIn(Object.keys(INTERVALS))
+      .withMessage(
+        `interval must be one of: ${Object.keys(INTERVALS).join(', ')}`,
+      ),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const jobIds = await resolveJobIds(req, res);
+      if (!jobIds) return;
+
+      const range = resolveRange(req);
+      res.json({ range, ...(await overview(jobIds, range)) });
+    } catch (err) {
+      console.error('Error fetching analytics overview:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/analytics/jobs:
+ *   get:
+ *     summary: Compare how the employer's jobs perform.
+ *     description: Views, applications and conversion rate of each job over the period, which defaults to the last 30 days.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Analytics
+ *     parameters:
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         description: Only report on this job.
+ *       - in: query
+ *         name: companyId
+ *         schema:
+ *           type: string
+ *         description: Only report on this company's jobs.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the period.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the period (at most 366 days after from).
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [views, -views, applications, -applications, conversionRate, -conversionRate, createdAt, -createdAt]
+ *           default: -views
+ *         description: Sort order; a leading "-" sorts descending.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of jobs per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A page of job statistics.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobAnalytics'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: The job does not belong to the employer or their company.
+ *       404:
+ *         description: Job not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/jobs',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    ...scopeValidators(),
+    query('sort')
+      .optional()
+      .isIn(Object.keys(SORT_OPTIONS))
+      .withMessage(
+        `sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`,
+      ),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      const jobIds = await resolveJobIds(req, res);
+      if (!jobIds) return;
+
+      const jobs = await jobStats(jobIds, resolveRange(req), {
+        sort: SORT_OPTIONS[req.query.sort || DEFAULT_SORT],
+        skip: (page - 1) * limit,
+        limit,
+      });
+
+      res.json({
+        jobs,
+        pagination: {
+          page,
+          limit,
+          total: jobIds.length,
+          totalPages: Math.ceil(jobIds.length / limit),
+        },
+      });
+    } catch (err) {
+      console.error('Error fetching job analytics:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -1,8 +1,164 @@
 const express = require('express');
-const { check, validationResult, param } = require('express-validator');
+const { check, validationResult, param, query } = require('express-validator');
 const router = express.Router();
 const Application = require('../models/Application');
 const Job = require('../models/Job');
+const Candidate = require('../models/Candidate');
+const {
+  authenticateJWT,
+  optionalAuthenticateJWT,
+  authorizeRoles,
+} = require('../middleware/auth');
+const { uploadApplicationFiles } = require('../middleware/upload');
+const {
+  canManageJob,
+  canViewJob,
+  jobAccessFilter,
+} = require('../services/companyAccess');
+const storage = require('../services/storage');
+const { extractText } = require('../services/textExtractor');
+const { notifyJobTeam, notifyCandidate } = require('../services/notifications');
+const { emitWebhookEvent } = require('../services/webhooks');
+const { rateLimit } = require('../middleware/rateLimit');
+const { evaluateAnswers } = require('../services/screening');
+const { recordAudit } = require('../services/audit');
+const { isEmployerSuspended } = require('../services/moderation');
+
+// Uploaded documents that can be attached to an application
+const FILE_FIELDS = ['resume', 'coverLetter'];
+
+const APPLY_RATE_LIMIT_WINDOW_MS =
+  Number(process.env.APPLY_RATE_LIMIT_WINDOW_MS) || 3600000;
+const APPLY_RATE_LIMIT_MESSAGE =
+  'Too many applications, please try again later.';
+
+// Applications per client IP, checked before uploads are read
+const limitApplicationsPerIp = rateLimit({
+  name: 'apply:ip',
+  windowMs: APPLY_RATE_LIMIT_WINDOW_MS,
+  max: Number(process.env.APPLY_RATE_LIMIT_PER_IP) || 30,
+  key: (req) => req.ip,
+  message: APPLY_RATE_LIMIT_MESSAGE,
+});
+
+// Applications per applicant: the signed-in candidate, or the email given
+const limitApplicationsPerApplicant = rateLimit({
+  name: 'apply:applicant',
+  windowMs: APPLY_RATE_LIMIT_WINDOW_MS,
+  max: Number(process.env.APPLY_RATE_LIMIT_PER_EMAIL) || 10,
+  key: (req) =>
+    req.user?.role === 'candidate'
+      ? `candidate:${req.user.id}`
+      : req.body.candidateEmail &&
+        `email:${Application.normalizeEmail(req.body.candidateEmail)}`,
+  message: APPLY_RATE_LIMIT_MESSAGE,
+});
+
+// Loads the team's private feedback along with an application
+const REVIEW_SELECTION = Application.REVIEW_FIELDS.map(
+  (field) => `+${field}`,
+).join(' ');
+// Shown in listings; notes and individual ratings only on the application
+const REVIEW_SUMMARY_SELECTION = '+tags +ratingAverage +ratingCount';
+
+const MAX_TAGS = 20;
+
+const DUPLICATE_APPLICATION_ERROR = 'You have already applied for this job';
+
+const isDuplicateKeyError = (err) => err?.code === 11000;
+
+/**
+ * Parse screening answers sent as a JSON string, as multipart forms must.
+ * Invalid JSON is left for the validator to reject.
+ */
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Save an uploaded file with the storage driver and return its metadata.
+ */
+const storeUpload = async (file) => {
+  const { key } = await storage.save({
+    buffer: file.buffer,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+  });
+
+  return {
+    storageKey: key,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+  };
+};
+
+/**
+ * Remove how the screening answers were judged from an application about to
+ * be sent to its candidate, as jobs hide their knockout rules. Answers are
+ * copied, so payloads sharing them keep their flags.
+ */
+const hideScreeningResult = (response) => {
+  delete response.knockedOut;
+  response.screeningAnswers = response.screeningAnswers?.map(
+    ({ knockout, ...answer }) => answer,
+  );
+  return response;
+};
+
+// Name and email are only required from candidates applying without an account
+const isAnonymousApplicant = (value, { req }) => req.user?.role !== 'candidate';
+
+/**
+ * Tell the job's team, the candidate and the job's webhooks that an
+ * application changed status.
+ */
+const notifyStatusChange = (io, job, application, previousStatus) => {
+  const payload = {
+    applicationId: application._id,
+    jobId: application.jobId,
+    status: application.status,
+    previousStatus,
+    changedAt: application.statusHistory.at(-1)?.changedAt,
+  };
+
+  notifyJobTeam(io, job, 'applicationStatusChanged', payload);
+  notifyCandidate(
+    io,
+    application.candidateId,
+    'applicationStatusChanged',
+    payload,
+  );
+  emitWebhookEvent('application.status_changed', job, {
+    ...payload,
+    candidateName: application.candidateName,
+    candidateEmail: application.candidateEmail,
+  });
+};
+
+/**
+ * Record an application's status change in the audit log, visible to the
+ * job's team. `job` may be null if it was deleted.
+ */
+const auditStatusChange = (req, job, application, previousStatus) =>
+  recordAudit(req, {
+    action: 'application.status_changed',
+    target: { type: 'application', id: application._id },
+    job,
+    changes: { status: { from: previousStatus, to: application.status } },
+    metadata: {
+      jobId: application.jobId,
+      note: application.statusHistory.at(-1)?.note,
+    },
+  });
 
 /**
  * @swagger
@@ -24,14 +180,103 @@ const Job = require('../models/Job');
  *         jobId:
  *           type: string
  *           description: ID of the job being applied for.
+ *         candidateId:
+ *           type: string
+ *           description: ID of the candidate account, when applied while signed in.
  *         applicationDate:
  *           type: string
  *           format: date-time
  *           description: Date of application.
+ *         status:
+ *           type: string
+ *           enum: [applied, screening, interview, offer, hired, rejected, withdrawn]
+ *           description: Current pipeline status of the application.
+ *         statusHistory:
+ *           type: array
+ *           description: Every status the application has been in.
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *               changedBy:
+ *                 type: string
+ *                 description: ID of the employer who made the change.
+ *               note:
+ *                 type: string
+ *         resume:
+ *           $ref: '#/components/schemas/StoredFile'
+ *         coverLetter:
+ *           $ref: '#/components/schemas/StoredFile'
+ *         employerNotes:
+ *           type: array
+ *           description: Private notes by the job's team.
+ *           items:
+ *             $ref: '#/components/schemas/EmployerNote'
+ *         ratings:
+ *           type: array
+ *           description: Scorecard ratings, one per reviewer on the job's team.
+ *           items:
+ *             type: object
+ *             properties:
+ *               reviewerId:
+ *                 type: string
+ *               score:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *               ratedAt:
+ *                 type: string
+ *                 format: date-time
+ *         ratingAverage:
+ *           type: number
+ *           description: Average of the ratings; absent until the first one.
+ *         ratingCount:
+ *           type: integer
+ *         tags:
+ *           type: array
+ *           description: Lowercase labels set by the job's team.
+ *           items:
+ *             type: string
  *       example:
  *         candidateName: "string"
  *         candidateEmail: "string@test.com"
  *         jobId: "607d1b2f4f1c2c0015f3e2b5"
+ *     EmployerNote:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         authorId:
+ *           type: string
+ *           description: ID of the employer who wrote the note.
+ *         body:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     StoredFile:
+ *       type: object
+ *       properties:
+ *         originalName:
+ *           type: string
+ *           description: File name as uploaded.
+ *         mimeType:
+ *           type: string
+ *         size:
+ *           type: integer
+ *           description: Size in bytes.
+ *         uploadedAt:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -39,6 +284,21 @@ const Job = require('../models/Job');
  * /api/applications/{jobId}/apply:
  *   post:
  *     summary: Candidate applies for a job posting.
+ *     description: |
+ *       Can be called anonymously or with a candidate token. Signed-in
+ *       candidates may omit candidateName and candidateEmail; they are taken
+ *       from the account and the application appears in
+ *       `GET /api/applications/mine`.
+ *       Each email can apply to a job once, ignoring case. Applications
+ *       are rate limited per client IP and per applicant.
+ *       Answers to the job's screening questions go in `answers`, keyed by
+ *       question ID. An answer that meets a knockout rule flags the
+ *       application with `knockedOut`, and rejects it right away if the
+ *       job's `knockoutAction` is `reject`. Only the job's team sees
+ *       `knockedOut` and which answers met a knockout rule.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     tags:
  *       - Applications
  *     parameters:
@@ -62,32 +322,82 @@ const Job = require('../models/Job');
  *                 type: string
  *               candidateEmail:
  *                 type: string
+ *               answers:
+ *                 type: object
+ *                 description: Screening answers keyed by question ID.
+ *                 additionalProperties: {}
  *             example:
  *               candidateName: "string"
  *               candidateEmail: "string@test.com"
+ *               answers: { "665f1c2e8b3a4d0012a3b4c5": true }
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               candidateName:
+ *                 type: string
+ *               candidateEmail:
+ *                 type: string
+ *               answers:
+ *                 type: string
+ *                 description: Screening answers keyed by question ID, as a JSON string.
+ *               resume:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF, DOCX or TXT file (5 MB max by default).
+ *               coverLetter:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF, DOCX or TXT file (5 MB max by default).
  *     responses:
  *       201:
  *         description: Application submitted successfully.
  *       400:
- *         description: Input validation error.
+ *         description: Input validation error, including missing or invalid screening answers.
  *       404:
  *         description: Job not found.
+ *       409:
+ *         description: |
+ *           The email has already applied for this job; or the job is not
+ *           published, has reached its application limit, or its
+ *           application deadline or expiry date has passed.
+ *       413:
+ *         description: Uploaded file is too large.
+ *       415:
+ *         description: Uploaded file type is not supported.
+ *       429:
+ *         description: Too many applications; retry after the number of seconds in the Retry-After header.
  *       500:
  *         description: Server error.
  */
 router.post(
   '/:jobId/apply',
+  optionalAuthenticateJWT,
+  limitApplicationsPerIp,
+  uploadApplicationFiles,
+  limitApplicationsPerApplicant,
   [
     // Validate jobId as a MongoDB ObjectId
     param('jobId').isMongoId().withMessage('Invalid job ID'),
 
     // Validate candidate name (must not be empty)
-    check('candidateName').notEmpty().withMessage('Candidate name is required'),
+    check('candidateName')
+      .if(isAnonymousApplicant)
+      .notEmpty()
+      .withMessage('Candidate name is required'),
 
     // Validate email format
     check('candidateEmail')
+      .if(isAnonymousApplicant)
       .isEmail()
       .withMessage('A valid candidate email is required'),
+
+    // Screening answers are checked against the job's questions below
+    check('answers')
+      .optional()
+      .customSanitizer(parseJsonField)
+      .custom(isPlainObject)
+      .withMessage('Answers must be an object keyed by question ID'),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -95,44 +405,1319 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const storedKeys = [];
+
     try {
-      const { candidateName, candidateEmail } = req.body;
+      let { candidateName, candidateEmail } = req.body;
+      let candidateId;
       const jobId = req.params.jobId;
 
+      // Signed-in candidates apply with their account details
+      if (req.user?.role === 'candidate') {
+        const candidate = await Candidate.findById(req.user.id)
+          .select('_id name email')
+          .lean();
+        if (!candidate) {
+          return res.status(401).json({ error: 'Candidate account not found' });
+        }
+        candidateId = candidate._id;
+        candidateName = candidateName || candidate.name;
+        candidateEmail = candidate.email;
+      }
+
       // Check if the job exists, selecting only necessary fields for optimization
-      const job = await Job.findById(jobId).select('_id employerId').lean();
+      const job = await Job.findById(jobId)
+        .select(
+          '_id employerId companyId status applicationDeadline expiresAt maxApplications screeningQuestions knockoutAction',
+        )
+        .lean();
 
-      if (!job) {
+      // Jobs of suspended employers are hidden from candidates
+      if (!job || (await isEmployerSuspended(job.employerId))) {
         return res.status(404).json({ error: 'Job not found' });
       }
 
+      const now = new Date();
+      if (
+        job.status !== 'published' ||
+        (job.applicationDeadline && job.applicationDeadline < now) ||
+        (job.expiresAt && job.expiresAt <= now)
+      ) {
+        return res
+          .status(409)
+          .json({ error: 'This job is no longer accepting applications' });
+      }
+
+      const screening = evaluateAnswers(
+        job.screeningQuestions,
+        req.body.answers,
+      );
+      if (screening.errors.length) {
+        return res.status(400).json({ errors: screening.errors });
+      }
+
+      // Checked again by the unique index on save; this spares the uploads
+      if (
+        await Application.exists({
+          jobId,
+          candidateEmailNormalized: Application.normalizeEmail(candidateEmail),
+        })
+      ) {
+        return res.status(409).json({ error: DUPLICATE_APPLICATION_ERROR });
+      }
+
+      // Concurrent applications may overshoot the limit slightly
+      if (
+        job.maxApplications &&
+        (await Application.countDocuments({
+          jobId,
+          status: { $ne: 'withdrawn' },
+        })) >= job.maxApplications
+      ) {
+        return res.status(409).json({
+          error: 'This job has reached its maximum number of applications',
+        });
+      }
+
       // Create a new application instance
       const application = new Application({
         candidateName,
         candidateEmail,
         jobId,
+        candidateId,
+        screeningAnswers: screening.answers,
+        knockedOut: screening.knockedOut,
       });
+      if (screening.knockedOut && job.knockoutAction === 'reject') {
+        application.transitionTo(
+          'rejected',
+          undefined,
+          'Automatically rejected: knockout screening answer',
+        );
+      }
+
+      // Store uploaded documents and make the resume searchable
+      for (const field of FILE_FIELDS) {
+        const file = req.files?.[field]?.[0];
+        if (!file) continue;
+
+        application[field] = await storeUpload(file);
+        storedKeys.push(application[field].storageKey);
+
+        if (field === 'resume') {
+          application.resumeText = await extractText(
+            file.buffer,
+            file.mimetype,
+          );
+        }
+      }
 
       // Save application to the database
       await application.save();
 
-      // Emit real-time notification if the employer is connected via WebSockets
-      req.io
-        ?.to(req.employerSockets?.[job.employerId])
-        ?.emit('newApplication', {
-          jobId: job._id,
-          candidate: { candidateName, candidateEmail },
-        });
+      // Emit real-time notification to every connected device of the job's team
+      notifyJobTeam(req.io, job, 'newApplication', {
+        applicationId: application._id,
+        jobId: job._id,
+        candidate: { candidateName, candidateEmail },
+        status: application.status,
+        knockedOut: application.knockedOut,
+      });
 
-      console.log(`Notification emitted for jobId: ${job._id}`);
+      const response = application.toObject();
+      delete response.resumeText;
+      delete response.candidateEmailNormalized;
+      for (const field of Application.REVIEW_FIELDS) {
+        delete response[field];
+      }
+      emitWebhookEvent('application.created', job, { application: response });
 
       // Return application response
-      res.status(201).json(application);
+      res.status(201).json(hideScreeningResult(response));
     } catch (err) {
+      // Don't leave orphaned files behind when the application isn't saved
+      await Promise.all(
+        storedKeys.map((key) => storage.remove(key).catch(() => {})),
+      );
+
+      // Another request with the same email got there first
+      if (isDuplicateKeyError(err)) {
+        return res.status(409).json({ error: DUPLICATE_APPLICATION_ERROR });
+      }
+
       console.error('Error processing job application:', err);
       res.status(500).json({ error: 'Internal Server Error' });
     }
   },
 );
 
+/**
+ * @swagger
+ * /api/applications:
+ *   get:
+ *     summary: List applications received for the employer's own jobs.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         description: Only return applications for this job.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [applied, screening, interview, offer, hired, rejected, withdrawn]
+ *         description: Only return applications in this status.
+ *       - in: query
+ *         name: knockedOut
+ *         schema:
+ *           type: boolean
+ *         description: Only return applications with (true) or without (false) a knockout screening answer.
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only return applications with this tag.
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *         description: Only return applications rated at least this on average.
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search the text of uploaded resumes. Results are ordered by relevance.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of applications per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A page of applications.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: The job does not belong to the employer or their company.
+ *       404:
+ *         description: Job not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    query('jobId').optional().isMongoId().withMessage('Invalid job ID'),
+    query('status')
+      .optional()
+      .isIn(Application.STATUSES)
+      .withMessage(`status must be one of: ${Application.STATUSES.join(', ')}`),
+    query('knockedOut')
+      .optional()
+      .isBoolean()
+      .withMessage('knockedOut must be true or false'),
+    query('tag')
+      .optional()
+      .isString()
+      .customSanitizer(Application.normalizeTag)
+      .notEmpty()
+      .withMessage('tag cannot be empty'),
+    query('minRating')
+      .optional()
+      .isFloat({ min: 1, max: 5 })
+      .withMessage('minRating must be between 1 and 5'),
+    query('q')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('q cannot be empty'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { jobId, status, tag, minRating, q } = req.query;
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      const filters = {};
+
+      if (jobId) {
+        const job = await Job.findById(jobId)
+          .select('_id employerId companyId')
+          .lean();
+        if (!job) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!(await canViewJob(job, req.user))) {
+          return res.status(403).json({
+            error: 'Forbidden: You cannot view applications for this job.',
+          });
+        }
+        filters.jobId = job._id;
+      } else {
+        // Restrict to every job the employer or their companies own
+        const jobIds = await Job.find(
+          await jobAccessFilter(req.user.id),
+        ).distinct('_id');
+        filters.jobId = { $in: jobIds };
+      }
+
+      if (status) {
+        filters.status = status;
+      }
+      if (req.query.knockedOut) {
+        // Applications from before screening questions have no flag
+        filters.knockedOut =
+          req.query.knockedOut === 'true' ? true : { $ne: true };
+      }
+      if (tag) {
+        filters.tags = tag;
+      }
+      if (minRating) {
+        filters.ratingAverage = { $gte: Number(minRating) };
+      }
+
+      // Resume search, most relevant first
+      let projection = {};
+      let sort = { applicationDate: -1 };
+      if (q) {
+        filters.$text = { $search: q };
+        projection = { score: { $meta: 'textScore' } };
+        sort = { score: { $meta: 'textScore' }, applicationDate: -1 };
+      }
+
+      const [applications, total] = await Promise.all([
+        Application.find(filters, projection)
+          .select(REVIEW_SUMMARY_SELECTION)
+          .sort(sort)
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Application.countDocuments(filters),
+      ]);
+
+      res.json({
+        applications,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      console.error('Error fetching applications:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/applications/mine:
+ *   get:
+ *     summary: List the signed-in candidate's own applications.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [applied, screening, interview, offer, hired, rejected, withdrawn]
+ *         description: Only return applications in this status.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of applications per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A page of the candidate's applications with their current status and job summary.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not a candidate.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/mine',
+  authenticateJWT,
+  authorizeRoles('candidate'),
+  [
+    query('status')
+      .optional()
+      .isIn(Application.STATUSES)
+      .withMessage(`status must be one of: ${Application.STATUSES.join(', ')}`),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      const filters = { candidateId: req.user.id };
+
+      if (req.query.status) {
+        filters.status = req.query.status;
+      }
+
+      const [applications, total] = await Promise.all([
+        Application.find(filters)
+          .select('jobId status statusHistory applicationDate')
+          .populate('jobId', 'title location salaryRange')
+          .sort({ applicationDate: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Application.countDocuments(filters),
+      ]);
+
+      res.json({
+        applications,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      console.error('Error fetching candidate applications:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   get:
+ *     summary: Get a single application, including its status history.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the application.
+ *     responses:
+ *       200:
+ *         description: Application details retrieved successfully.
+ *       400:
+ *         description: Invalid application ID.
+ *       403:
+ *         description: The job does not belong to the employer or their company.
+ *       404:
+ *         description: Application not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/:id',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [param('id').isMongoId().withMessage('Invalid application ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const application = await Application.findById(req.params.id)
+        .select(REVIEW_SELECTION)
+        .lean();
+      if (!application) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+
+      const job = await Job.findById(application.jobId)
+        .select('_id employerId companyId')
+        .lean();
+      if (!job || !(await canViewJob(job, req.user))) {
+        return res.status(403).json({
+          error: 'Forbidden: You cannot view this application.',
+        });
+      }
+
+      res.json(application);
+    } catch (err) {
+      console.error('Error fetching application by ID:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/status:
+ *   patch:
+ *     summary: Move an application to the next stage of the pipeline.
+ *     description: |
+ *       Allowed transitions:
+ *       applied → screening, screening → interview, interview → offer,
+ *       offer → hired. Any non-terminal status may also move to rejected
+ *       or withdrawn. hired, rejected and withdrawn are terminal.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the application.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [applied, screening, interview, offer, hired, rejected, withdrawn]
+ *               note:
+ *                 type: string
+ *             example:
+ *               status: "screening"
+ *               note: "Strong portfolio"
+ *     responses:
+ *       200:
+ *         description: Application status updated successfully.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: The job does not belong to the employer or their company.
+ *       404:
+ *         description: Application not found.
+ *       409:
+ *         description: The transition is not allowed from the current status.
+ *       500:
+ *         description: Server error.
+ */
+router.patch(
+  '/:id/status',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    check('status')
+      .isIn(Application.STATUSES)
+      .withMessage(`status must be one of: ${Application.STATUSES.join(', ')}`),
+    check('note')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('note must be at most 1000 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const application = await Application.findById(req.params.id);
+      if (!application) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+
+      const job = await Job.findById(application.jobId)
+        .select('_id employerId companyId')
+        .lean();
+      if (!job || !(await canManageJob(job, req.user))) {
+        return res.status(403).json({
+          error: 'Forbidden: You cannot update this application.',
+        });
+      }
+
+      const { status, note } = req.body;
+      if (!Application.canTransition(application.status, status)) {
+        return res.status(409).json({
+          error: `Cannot move application from '${application.status}' to '${status}'`,
+          allowed: Application.STATUS_TRANSITIONS[application.status],
+        });
+      }
+
+      const previousStatus = application.status;
+      application.transitionTo(status, req.user, note);
+      await application.save();
+
+      notifyStatusChange(req.io, job, application, previousStatus);
+      auditStatusChange(req, job, application, previousStatus);
+
+      res.json(application);
+    } catch (err) {
+      console.error('Error updating application status:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw one of the signed-in candidate's applications.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the application.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *             example:
+ *               note: "Accepted another offer"
+ *     responses:
+ *       200:
+ *         description: Application withdrawn successfully.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: The application does not belong to the candidate.
+ *       404:
+ *         description: Application not found.
+ *       409:
+ *         description: The application is already closed.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/:id/withdraw',
+  authenticateJWT,
+  authorizeRoles('candidate'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    check('note')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('note must be at most 1000 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const application = await Application.findById(req.params.id);
+      if (!application) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+
+      if (application.candidateId?.toString() !== req.user.id.toString()) {
+        return res.status(403).json({
+          error: 'Forbidden: You cannot withdraw this application.',
+        });
+      }
+
+      if (!Application.canTransition(application.status, 'withdrawn')) {
+        return res.status(409).json({
+          error: `Cannot withdraw an application with status '${application.status}'`,
+        });
+      }
+
+      const previousStatus = application.status;
+      application.transitionTo('withdrawn', req.user, req.body.note);
+      await application.save();
+
+      const job = await Job.findById(application.jobId)
+        .select('_id employerId companyId')
+        .lean();
+      if (job) {
+        notifyStatusChange(req.io, job, application, previousStatus);
+      }
+      auditStatusChange(req, job, application, previousStatus);
+
+      res.json(hideScreeningResult(application.toObject()));
+    } catch (err) {
+      console.error('Error withdrawing application:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * Load an application with the team's feedback, checking the signed-in
+ * employer's access to its job with `canAccess` (`canViewJob` or
+ * `canManageJob`). Sends the error response and resolves with null when
+ * not found or not allowed.
+ */
+const loadForReview = async (req, res, canAccess) => {
+  const application = await Application.findById(req.params.id).select(
+    REVIEW_SELECTION,
+  );
+  if (!application) {
+    res.status(404).json({ error: 'Application not found' });
+    return null;
+  }
+
+  const job = await Job.findById(application.jobId)
+    .select('_id employerId companyId')
+    .lean();
+  if (!job || !(await canAccess(job, req.user))) {
+    res.status(403).json({
+      error: 'Forbidden: You cannot review this application.',
+    });
+    return null;
+  }
+
+  return application;
+};
+
+/**
+ * Find a note its author is changing. Sends the error response and returns
+ * null when the note doesn't exist or belongs to someone else.
+ */
+const findOwnNote = (application, req, res) => {
+  const note = application.employerNotes.id(req.params.noteId);
+  if (!note) {
+    res.status(404).json({ error: 'Note not found' });
+    return null;
+  }
+  if (note.authorId.toString() !== req.user.id.toString()) {
+    res
+      .status(403)
+      .json({ error: 'Forbidden: Only its author can change this note.' });
+    return null;
+  }
+  return note;
+};
+
+const ratingSummary = (application) => ({
+  ratings: application.ratings,
+  ratingAverage: application.ratingAverage,
+  ratingCount: application.ratingCount,
+});
+
+const noteBodyValidator = () =>
+  check('body')
+    .isString()
+    .withMessage('Note body is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Note body must be 1 to 5000 characters');
+
+/**
+ * @swagger
+ * /api/applications/{id}/notes:
+ *   post:
+ *     summary: Add a private note to an application.
+ *     description: Notes are only visible to the job's team, and only their author can edit them.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the application.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Note added.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmployerNote'
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage the job's applications.
+ *       404:
+ *         description: Application not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/:id/notes',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    noteBodyValidator(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const application = await loadForReview(req, res, canManageJob);
+      if (!application) return;
+
+      application.employerNotes.push({
+        authorId: req.user.id,
+        body: req.body.body,
+      });
+      await application.save();
+
+      res.status(201).json(application.employerNotes.at(-1));
+    } catch (err) {
+      console.error('Error adding application note:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/notes/{noteId}:
+ *   patch:
+ *     summary: Edit one of your notes on an application.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the application.
+ *       - in: path
+ *         name: noteId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the note.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Note updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmployerNote'
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage the job's applications, or did not write the note.
+ *       404:
+ *         description: Application or note not found.
+ *       500:
+ *         description: Server error.
+ */
+router.patch(
+  '/:id/notes/:noteId',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    param('noteId').isMongoId().withMessage('Invalid note ID'),
+    noteBodyValidator(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const application = await loadForReview(req, res, canManageJob);
+      if (!application) return;
+      const note = findOwnNote(application, req, res);
+      if (!note) return;
+
+      note.body = req.body.body;
+      await application.save();
+
+      res.json(note);
+    } catch (err) {
+      console.error('Error updating application note:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/notes/{noteId}:
+ *   delete:
+ *     summary: Delete one of your notes on an application.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the application.
+ *       - in: path
+ *         name: noteId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the note.
+ *     responses:
+ *       200:
+ *         description: Note deleted.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage the job's applications, or did not write the note.
+ *       404:
+ *         description: Application or note not found.
+ *       500:
+ *         description: Server error.
+ */
+router.delete(
+  '/:id/notes/:noteId',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    param('noteId').isMongoId().withMessage('Invalid note ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const application = await loadForReview(req, res, canManageJob);
+      if (!application) return;
+      const note = findOwnNote(application, req, res);
+      if (!note) return;
+
+      note.deleteOne();
+      await application.save();
+
+      res.json({ message: 'Note deleted successfully' });
+    } catch (err) {
+      console.error('Error deleting application note:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/rating:
+ *   put:
+ *     summary: Rate an application.
+ *     description: Sets the caller's scorecard rating, replacing their earlier one.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the application.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - score
+ *             properties:
+ *               score:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Every rating of the application, with their average.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage the job's applications.
+ *       404:
+ *         description: Application not found.
+ *       500:
+ *         description: Server error.
+ */
+router.put(
+  '/:id/rating',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    check('score')
+      .isInt({ min: 1, max: 5 })
+      .withMessage('score must be an integer between 1 and 5')
+      .toInt(),
+    check('comment')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('comment must be at most 1000 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const application = await loadForReview(req, res, canManageJob);
+      if (!application) return;
+
+      application.rate(
+        req.user.id,
+        req.body.score,
+        req.body.comment || undefined,
+      );
+      await application.save();
+
+      res.json(ratingSummary(application));
+    } catch (err) {
+      console.error('Error rating application:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/rating:
+ *   delete:
+ *     summary: Remove your rating of an application.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the application.
+ *     responses:
+ *       200:
+ *         description: The remaining ratings, with their average.
+ *       400:
+ *         description: Invalid application ID.
+ *       403:
+ *         description: Caller cannot manage the job's applications.
+ *       404:
+ *         description: Application not found, or not rated by the caller.
+ *       500:
+ *         description: Server error.
+ */
+router.delete(
+  '/:id/rating',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [param('id').isMongoId().withMessage('Invalid application ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const application = await loadForReview(req, res, canManageJob);
+      if (!application) return;
+
+      const rated = application.ratings.some(
+        ({ reviewerId }) => reviewerId.toString() === req.user.id.toString(),
+      );
+      if (!rated) {
+        return res.status(404).json({ error: 'Rating not found' });
+      }
+
+      application.rate(req.user.id, null);
+      await application.save();
+
+      res.json(ratingSummary(application));
+    } catch (err) {
+      console.error('Error removing application rating:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/tags:
+ *   put:
+ *     summary: Replace an application's tags.
+ *     description: Tags are stored lowercase; duplicates are dropped.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the application.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tags
+ *             properties:
+ *               tags:
+ *                 type: array
+ *                 description: Up to 20 tags of at most 50 characters.
+ *                 items:
+ *                   type: string
+ *             example:
+ *               tags: ["strong referral", "relocation"]
+ *     responses:
+ *       200:
+ *         description: The application's tags.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage the job's applications.
+ *       404:
+ *         description: Application not found.
+ *       500:
+ *         description: Server error.
+ */
+router.put(
+  '/:id/tags',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    check('tags')
+      .isArray({ max: MAX_TAGS })
+      .withMessage(`tags must be an array of at most ${MAX_TAGS} tags`),
+    check('tags.*')
+      .isString()
+      .withMessage('Each tag must be a string')
+      .customSanitizer(Application.normalizeTag)
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Each tag must be 1 to 50 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const application = await loadForReview(req, res, canManageJob);
+      if (!application) return;
+
+      application.tags = [...new Set(req.body.tags)];
+      await application.save();
+
+      res.json({ tags: application.tags });
+    } catch (err) {
+      console.error('Error updating application tags:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/files/{kind}:
+ *   get:
+ *     summary: Download a resume or cover letter attached to an application.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Applications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the application.
+ *       - in: path
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [resume, coverLetter]
+ *         required: true
+ *         description: Which document to download.
+ *     responses:
+ *       200:
+ *         description: The file contents.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: The job does not belong to the employer or their company.
+ *       404:
+ *         description: Application or file not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/:id/files/:kind',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    param('kind')
+      .isIn(FILE_FIELDS)
+      .withMessage(`kind must be one of: ${FILE_FIELDS.join(', ')}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { id, kind } = req.params;
+      const application = await Application.findById(id)
+        .select(`jobId ${kind}`)
+        .lean();
+      if (!application) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+
+      const job = await Job.findById(application.jobId)
+        .select('_id employerId companyId')
+        .lean();
+      if (!job || !(await canViewJob(job, req.user))) {
+        return res.status(403).json({
+          error: 'Forbidden: You cannot download files for this application.',
+        });
+      }
+
+      const file = application[kind];
+      if (!file) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      let stream;
+      try {
+        stream = await storage.getStream(file.storageKey);
+      } catch (err) {
+        console.error('Stored file missing:', file.storageKey, err.message);
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      res.set('Content-Type', file.mimeType);
+      res.set('Content-Length', String(file.size));
+      res.attachment(file.originalName);
+      stream.on('error', (err) => {
+        console.error('Error streaming file:', err);
+        res.destroy(err);
+      });
+      stream.pipe(res);
+    } catch (err) {
+      console.error('Error downloading application file:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
 module.exports = router;
@@ -0,0 +1,237 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { jobAccessFilter } = require('../services/companyAccess');
+
+/**
+ * The audit entries a user may read: everything for admins; for employers,
+ * entries about the jobs they have access to and their own actions.
+ */
+const auditAccessFilter = async (user) => {
+  if (user.role === 'admin') {
+    return {};
+  }
+
+  const { $or: jobScopes } = await jobAccessFilter(user.id);
+  return { $or: [...jobScopes, { actorId: user.id }] };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [auth.login, auth.login_failed, auth.registered, job.created, job.updated, job.status_changed, job.deleted, job.moderated, application.status_changed, employer.suspended, employer.reinstated]
+ *         actorId:
+ *           type: string
+ *           description: Unset for failed logins to unknown accounts.
+ *         actorRole:
+ *           type: string
+ *           enum: [employer, candidate, admin]
+ *         actorEmail:
+ *           type: string
+ *         targetType:
+ *           type: string
+ *           enum: [job, application, employer, candidate, admin]
+ *         targetId:
+ *           type: string
+ *         employerId:
+ *           type: string
+ *           description: Employer of the job the entry is about.
+ *         companyId:
+ *           type: string
+ *           description: Company of the job the entry is about.
+ *         changes:
+ *           type: object
+ *           description: The changed fields, as `{ field: { from, to } }`.
+ *         metadata:
+ *           type: object
+ *           description: Details of the action, such as why a login failed.
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *           description: The request's `X-Request-Id`.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: Search the audit log, newest first.
+ *     description: |
+ *       Admins see every entry. Employers see the entries about the jobs
+ *       they have access to (and those jobs' applications), plus their own
+ *       actions. Entries are kept for `AUDIT_LOG_TTL_DAYS`.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Audit Log
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *         description: Only return actions by this user.
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [job, application, employer, candidate, admin]
+ *         description: Only return actions on this kind of record.
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: Only return actions on this record.
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Only return this action, e.g. `job.updated`.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return entries from this time on.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return entries before this time.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of entries per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A page of audit entries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Input validation error.
+ *       401:
+ *         description: Missing or revoked token.
+ *       403:
+ *         description: Invalid token, or the caller is a candidate.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/',
+  authenticateJWT,
+  authorizeRoles('admin', 'employer'),
+  [
+    query(['actorId', 'targetId'])
+      .optional()
+      .isMongoId()
+      .withMessage('actorId and targetId must be valid IDs'),
+    query('targetType')
+      .optional()
+      .isIn(AuditLog.TARGET_TYPES)
+      .withMessage(
+        `targetType must be one of: ${AuditLog.TARGET_TYPES.join(', ')}`,
+      ),
+    query('action')
+      .optional()
+      .isIn(AuditLog.ACTIONS)
+      .withMessage(`action must be one of: ${AuditLog.ACTIONS.join(', ')}`),
+    query(['from', 'to'])
+      .optional()
+      .isISO8601()
+      .withMessage('from and to must be ISO 8601 dates'),
+    query('to')
+      .optional()
+      .custom(
+        (to, { req }) =>
+          !req.query.from || new Date(req.query.from) < new Date(to),
+      )
+      .withMessage('from must be before to'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+
+      const filters = await auditAccessFilter(req.user);
+      for (const key of ['actorId', 'targetType', 'targetId', 'action']) {
+        if (req.query[key]) {
+          filters[key] = req.query[key];
+        }
+      }
+      if (req.query.from || req.query.to) {
+        filters.createdAt = {};
+        if (req.query.from) filters.createdAt.$gte = new Date(req.query.from);
+        if (req.query.to) filters.createdAt.$lt = new Date(req.query.to);
+      }
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filters)
+          .select('-expiresAt')
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AuditLog.countDocuments(filters),
+      ]);
+
+      res.json({
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      console.error('Error fetching audit log:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+module.exports = router;
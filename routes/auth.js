@@ -1,10 +1,72 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { check, validationResult } = require('express-validator');
 const router = express.Router();
-const { secretKey } = require('../middleware/auth');
+const { authenticateJWT } = require('../middleware/auth');
 const Employer = require('../models/Employer');
+const Candidate = require('../models/Candidate');
+const Admin = require('../models/Admin');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/sessions');
+const { issueToken, consumeToken } = require('../services/authTokens');
+const { recordAudit } = require('../services/audit');
+const { sendMail } = require('../services/mailer');
+const {
+  verificationEmail,
+  passwordResetEmail,
+} = require('../services/mailer/templates');
+
+const REQUIRE_EMAIL_VERIFICATION =
+  process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+const EMAIL_VERIFICATION_TTL_HOURS =
+  Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const PASSWORD_RESET_TTL_HOURS =
+  Number(process.env.PASSWORD_RESET_TTL_HOURS) || 1;
+
+/**
+ * Issue an email verification token and email it to the employer.
+ */
+const sendVerificationEmail = async (employer) => {
+  const token = await issueToken(
+    employer._id,
+    'email_verification',
+    EMAIL_VERIFICATION_TTL_HOURS,
+  );
+  await sendMail({
+    to: employer.email,
+    ...verificationEmail({
+      name: employer.name,
+      token,
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+    }),
+  });
+};
+
+/**
+ * Record a login attempt in the audit log. `account` is the user with the
+ * given email, if any; `failure` says why the login was refused.
+ */
+const auditLogin = (req, role, account, failure) =>
+  recordAudit(req, {
+    action: failure ? 'auth.login_failed' : 'auth.login',
+    actor: { id: account?._id, role, email: account?.email || req.body.email },
+    target: { type: role, id: account?._id },
+    metadata: failure ? { reason: failure } : undefined,
+  });
+
+/**
+ * Record a new account in the audit log.
+ */
+const auditRegistration = (req, role, account) =>
+  recordAudit(req, {
+    action: 'auth.registered',
+    actor: { id: account._id, role, email: account.email },
+    target: { type: role, id: account._id },
+  });
 
 /**
  * @swagger
@@ -35,6 +97,9 @@ const Employer = require('../models/Employer');
  *         name:
  *           type: string
  *           description: Employer's full name.
+ *         company:
+ *           type: string
+ *           description: Company name shown on job postings.
  *         email:
  *           type: string
  *           description: Employer's email.
@@ -42,9 +107,54 @@ const Employer = require('../models/Employer');
  *           type: string
  *           description: Employer's password (minimum 6 characters).
  *       example:
- *         name: Acme Corp
+ *         name: Jane Smith
+ *         company: Acme Corp
  *         email: employer@example.com
  *         password: password123
+ *     CandidateLogin:
+ *       type: object
+ *       required:
+ *         - email
+ *         - password
+ *       properties:
+ *         email:
+ *           type: string
+ *           description: Candidate's email.
+ *         password:
+ *           type: string
+ *           description: Candidate's password.
+ *       example:
+ *         email: candidate@example.com
+ *         password: password123
+ *     CandidateRegister:
+ *       type: object
+ *       required:
+ *         - name
+ *         - email
+ *         - password
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Candidate's full name.
+ *         email:
+ *           type: string
+ *           description: Candidate's email.
+ *         password:
+ *           type: string
+ *           description: Candidate's password (minimum 6 characters).
+ *       example:
+ *         name: Jane Doe
+ *         email: candidate@example.com
+ *         password: password123
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: JWT access token (valid for 1 hour by default).
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token to obtain a new token pair from /api/auth/refresh.
  */
 
 /**
@@ -62,18 +172,17 @@ const Employer = require('../models/Employer');
  *             $ref: '#/components/schemas/EmployerLogin'
  *     responses:
  *       200:
- *         description: Login successful. Returns a JWT token.
+ *         description: Login successful. Returns an access token and a refresh token.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
+ *               $ref: '#/components/schemas/AuthTokens'
  *       400:
  *         description: Input validation error.
  *       401:
  *         description: Invalid email or password.
+ *       403:
+ *         description: Account suspended, or email address not verified (when REQUIRE_EMAIL_VERIFICATION is enabled).
  *       500:
  *         description: Server error.
  */
@@ -96,23 +205,39 @@ router.post(
       const employer = await Employer.findOne({ email }).lean();
 
       if (!employer) {
+        auditLogin(req, 'employer', null, 'unknown_email');
         return res.status(401).json({ error: 'Invalid email or password' });
       }
 
       // Compare provided password with hashed password
       const validPassword = await bcrypt.compare(password, employer.password);
       if (!validPassword) {
+        auditLogin(req, 'employer', employer, 'wrong_password');
         return res.status(401).json({ error: 'Invalid email or password' });
       }
 
-      // Generate JWT token (valid for 1 hour)
-      const token = jwt.sign(
-        { id: employer._id, email: employer.email },
-        secretKey,
-        { expiresIn: '1h' },
+      if (employer.suspendedAt) {
+        auditLogin(req, 'employer', employer, 'suspended');
+        return res.status(403).json({
+          error: 'This account has been suspended. Please contact support.',
+        });
+      }
+
+      if (REQUIRE_EMAIL_VERIFICATION && !employer.emailVerified) {
+        auditLogin(req, 'employer', employer, 'email_not_verified');
+        return res.status(403).json({
+          error: 'Email address not verified. Please check your inbox.',
+        });
+      }
+
+      // Start a session: short-lived access token plus a refresh token
+      const tokens = await createSession(
+        { id: employer._id, email: employer.email, role: 'employer' },
+        req,
       );
+      auditLogin(req, 'employer', employer);
 
-      res.json({ token });
+      res.json(tokens);
     } catch (err) {
       console.error('Login error:', err);
       res.status(500).json({ error: 'Internal Server Error' });
@@ -125,6 +250,7 @@ router.post(
  * /api/auth/register:
  *   post:
  *     summary: Register a new employer.
+ *     description: Sends an email with a link to verify the employer's address.
  *     tags:
  *       - Authentication
  *     requestBody:
@@ -145,6 +271,12 @@ router.post(
   '/register',
   [
     check('name').notEmpty().withMessage('Name is required'),
+    check('company')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Company must be at most 200 characters'),
     check('email').isEmail().withMessage('A valid email is required'),
     check('password')
       .isLength({ min: 6 })
@@ -157,7 +289,7 @@ router.post(
     }
 
     try {
-      const { name, email, password } = req.body;
+      const { name, company, email, password } = req.body;
 
       // Check if employer already exists (using lean() for better performance)
       const existingEmployer = await Employer.findOne({ email }).lean();
@@ -171,12 +303,28 @@ router.post(
       const hashedPassword = await bcrypt.hash(password, 10);
 
       // Create new employer instance
-      const employer = new Employer({ name, email, password: hashedPassword });
+      const employer = new Employer({
+        name,
+        company,
+        email,
+        password: hashedPassword,
+      });
 
       // Save employer to database
       await employer.save();
+      auditRegistration(req, 'employer', employer);
 
-      res.status(201).json({ message: 'Employer registered successfully' });
+      // A failed email shouldn't fail registration; it can be resent
+      try {
+        await sendVerificationEmail(employer);
+      } catch (mailErr) {
+        console.error('Error sending verification email:', mailErr);
+      }
+
+      res.status(201).json({
+        message:
+          'Employer registered successfully. Please check your email to verify your address.',
+      });
     } catch (err) {
       console.error('Registration error:', err);
       res.status(500).json({ error: 'Internal Server Error' });
@@ -184,4 +332,593 @@ router.post(
   },
 );
 
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an employer's email address.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the verification email.
+ *     responses:
+ *       200:
+ *         description: Email address verified.
+ *       400:
+ *         description: Input validation error, or invalid or expired token.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/verify-email',
+  [check('token').notEmpty().withMessage('Token is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const authToken = await consumeToken(
+        req.body.token,
+        'email_verification',
+      );
+      if (!authToken) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid or expired verification token' });
+      }
+
+      await Employer.updateOne(
+        { _id: authToken.userId },
+        { emailVerified: true, emailVerifiedAt: new Date() },
+      );
+
+      res.json({ message: 'Email verified successfully' });
+    } catch (err) {
+      console.error('Email verification error:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link.
+ *     description: Always responds with success so that registered emails can't be discovered.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified.
+ *       400:
+ *         description: Input validation error.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/resend-verification',
+  [check('email').isEmail().withMessage('A valid email is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const employer = await Employer.findOne({ email: req.body.email })
+        .select('_id name email emailVerified')
+        .lean();
+
+      if (employer && !employer.emailVerified) {
+        await sendVerificationEmail(employer);
+      }
+
+      res.json({
+        message:
+          'If the account exists and is not verified, a verification email has been sent.',
+      });
+    } catch (err) {
+      console.error('Resend verification error:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link.
+ *     description: Always responds with success so that registered emails can't be discovered.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists.
+ *       400:
+ *         description: Input validation error.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/forgot-password',
+  [check('email').isEmail().withMessage('A valid email is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const employer = await Employer.findOne({ email: req.body.email })
+        .select('_id name email')
+        .lean();
+
+      if (employer) {
+        const token = await issueToken(
+          employer._id,
+          'password_reset',
+          PASSWORD_RESET_TTL_HOURS,
+        );
+        await sendMail({
+          to: employer.email,
+          ...passwordResetEmail({
+            name: employer.name,
+            token,
+            expiresInHours: PASSWORD_RESET_TTL_HOURS,
+          }),
+        });
+      }
+
+      res.json({
+        message: 'If the account exists, a password reset email has been sent.',
+      });
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Choose a new password using a reset token.
+ *     description: The token can only be used once. All existing sessions are logged out.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the password reset email.
+ *               password:
+ *                 type: string
+ *                 description: New password (minimum 6 characters).
+ *     responses:
+ *       200:
+ *         description: Password reset successfully.
+ *       400:
+ *         description: Input validation error, or invalid or expired token.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/reset-password',
+  [
+    check('token').notEmpty().withMessage('Token is required'),
+    check('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const authToken = await consumeToken(req.body.token, 'password_reset');
+      if (!authToken) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid or expired reset token' });
+      }
+
+      const hashedPassword = await bcrypt.hash(req.body.password, 10);
+
+      // Receiving the reset email also proves ownership of the address
+      await Employer.updateOne(
+        { _id: authToken.userId },
+        {
+          password: hashedPassword,
+          emailVerified: true,
+          $min: { emailVerifiedAt: new Date() },
+        },
+      );
+      await revokeAllSessions(authToken.userId, 'password_reset');
+
+      res.json({ message: 'Password reset successfully' });
+    } catch (err) {
+      console.error('Reset password error:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/auth/candidates/login:
+ *   post:
+ *     summary: Candidate login to obtain a JWT token.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CandidateLogin'
+ *     responses:
+ *       200:
+ *         description: Login successful. Returns an access token and a refresh token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Input validation error.
+ *       401:
+ *         description: Invalid email or password.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/candidates/login',
+  [
+    check('email').isEmail().withMessage('A valid email is required'),
+    check('password').notEmpty().withMessage('Password is required'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { email, password } = req.body;
+
+      const candidate = await Candidate.findOne({ email }).lean();
+
+      if (!candidate) {
+        auditLogin(req, 'candidate', null, 'unknown_email');
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      const validPassword = await bcrypt.compare(password, candidate.password);
+      if (!validPassword) {
+        auditLogin(req, 'candidate', candidate, 'wrong_password');
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      const tokens = await createSession(
+        { id: candidate._id, email: candidate.email, role: 'candidate' },
+        req,
+      );
+      auditLogin(req, 'candidate', candidate);
+
+      res.json(tokens);
+    } catch (err) {
+      console.error('Candidate login error:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/auth/candidates/register:
+ *   post:
+ *     summary: Register a new candidate.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CandidateRegister'
+ *     responses:
+ *       201:
+ *         description: Candidate registered successfully.
+ *       400:
+ *         description: Input validation error or candidate already exists.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/candidates/register',
+  [
+    check('name').notEmpty().withMessage('Name is required'),
+    check('email').isEmail().withMessage('A valid email is required'),
+    check('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { name, email, password } = req.body;
+
+      const existingCandidate = await Candidate.findOne({ email }).lean();
+      if (existingCandidate) {
+        return res
+          .status(400)
+          .json({ error: 'Candidate with that email already exists' });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      const candidate = new Candidate({
+        name,
+        email,
+        password: hashedPassword,
+      });
+      await candidate.save();
+      auditRegistration(req, 'candidate', candidate);
+
+      res.status(201).json({ message: 'Candidate registered successfully' });
+    } catch (err) {
+      console.error('Candidate registration error:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/auth/admin/login:
+ *   post:
+ *     summary: Admin login to obtain a JWT token.
+ *     description: Admin accounts are created on the server with `yarn admin:create`.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful. Returns an access token and a refresh token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Input validation error.
+ *       401:
+ *         description: Invalid email or password.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/admin/login',
+  [
+    check('email').isEmail().withMessage('A valid email is required'),
+    check('password').notEmpty().withMessage('Password is required'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { email, password } = req.body;
+
+      const admin = await Admin.findOne({ email }).lean();
+
+      if (!admin) {
+        auditLogin(req, 'admin', null, 'unknown_email');
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      const validPassword = await bcrypt.compare(password, admin.password);
+      if (!validPassword) {
+        auditLogin(req, 'admin', admin, 'wrong_password');
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      const tokens = await createSession(
+        { id: admin._id, email: admin.email, role: 'admin' },
+        req,
+      );
+      auditLogin(req, 'admin', admin);
+
+      res.json(tokens);
+    } catch (err) {
+      console.error('Admin login error:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token.
+ *     description: |
+ *       Refresh tokens are single use. Presenting a refresh token that was
+ *       already exchanged revokes the whole session.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Input validation error.
+ *       401:
+ *         description: Invalid, expired, reused or revoked refresh token.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/refresh',
+  [check('refreshToken').notEmpty().withMessage('Refresh token is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const tokens = await rotateSession(req.body.refreshToken);
+      if (!tokens) {
+        return res.status(401).json({ error: 'Invalid refresh token' });
+      }
+
+      res.json(tokens);
+    } catch (err) {
+      console.error('Token refresh error:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current session.
+ *     description: Revokes the session of the access token used for this request, including its refresh token.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Authentication
+ *     responses:
+ *       200:
+ *         description: Logged out successfully.
+ *       401:
+ *         description: Missing token or session already revoked.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/logout', authenticateJWT, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await revokeSession(req.user.sid);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of every session on every device.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Authentication
+ *     responses:
+ *       200:
+ *         description: All sessions revoked.
+ *       401:
+ *         description: Missing token or session already revoked.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/logout-all', authenticateJWT, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user.id);
+
+    res.json({
+      message: 'Logged out of all sessions',
+      revokedSessions: result.modifiedCount,
+    });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,919 @@
+const express = require('express');
+const crypto = require('crypto');
+const { check, validationResult, param } = require('express-validator');
+const router = express.Router();
+const Company = require('../models/Company');
+const Membership = require('../models/Membership');
+const CompanyInvitation = require('../models/CompanyInvitation');
+const Employer = require('../models/Employer');
+const Job = require('../models/Job');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { getCompanyRole } = require('../services/companyAccess');
+const { hashToken } = require('../services/authTokens');
+const { activeEmployerFilter } = require('../services/moderation');
+const { sendMail } = require('../services/mailer');
+const { companyInvitationEmail } = require('../services/mailer/templates');
+
+const INVITATION_TTL_HOURS = Number(process.env.INVITATION_TTL_HOURS) || 168;
+
+// Profile fields employers can set on a company
+const PROFILE_FIELDS = [
+  'name',
+  'website',
+  'description',
+  'logoUrl',
+  'size',
+  'industry',
+];
+
+/**
+ * Copy the profile fields present in a request body.
+ */
+const pickProfile = (body) =>
+  Object.fromEntries(
+    PROFILE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ]),
+  );
+
+/**
+ * Validators for the company profile. `optional` makes every field
+ * optional, for updates.
+ */
+const profileValidators = (optional = false) => {
+  const field = (name) => (optional ? check(name).optional() : check(name));
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .notEmpty()
+      .isLength({ max: 200 })
+      .withMessage('Name is required (at most 200 characters)'),
+    check('website')
+      .optional({ values: 'null' })
+      .isURL()
+      .withMessage('Website must be a valid URL'),
+    check('description')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 5000 })
+      .withMessage('Description must be at most 5000 characters'),
+    check('logoUrl')
+      .optional({ values: 'null' })
+      .isURL()
+      .withMessage('Logo URL must be a valid URL'),
+    check('size')
+      .optional({ values: 'null' })
+      .isIn(Company.SIZES)
+      .withMessage(`Size must be one of: ${Company.SIZES.join(', ')}`),
+    check('industry')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Industry must be at most 100 characters'),
+  ];
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Company:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Company name.
+ *         website:
+ *           type: string
+ *           description: Company website URL.
+ *         description:
+ *           type: string
+ *           description: About the company.
+ *         logoUrl:
+ *           type: string
+ *           description: URL of the company logo.
+ *         size:
+ *           type: string
+ *           enum: ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+']
+ *           description: Number of employees.
+ *         industry:
+ *           type: string
+ *       example:
+ *         name: "Acme Corp"
+ *         website: "https://acme.example.com"
+ *         description: "We build everything."
+ *         logoUrl: "https://acme.example.com/logo.png"
+ *         size: "51-200"
+ *         industry: "Manufacturing"
+ */
+
+/**
+ * @swagger
+ * /api/companies:
+ *   post:
+ *     summary: Create a company. The creator becomes its owner.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Companies
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Company'
+ *     responses:
+ *       201:
+ *         description: Company created successfully.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an employer.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  profileValidators(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const company = new Company({
+        ...pickProfile(req.body),
+        createdBy: req.user.id,
+      });
+      await company.save();
+
+      try {
+        await Membership.create({
+          companyId: company._id,
+          employerId: req.user.id,
+          role: 'owner',
+        });
+      } catch (err) {
+        await Company.deleteOne({ _id: company._id }); // Don't leave an ownerless company
+        throw err;
+      }
+
+      res.status(201).json(company);
+    } catch (err) {
+      console.error('Error creating company:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/companies/mine:
+ *   get:
+ *     summary: List the companies the signed-in employer is a member of, with their role.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Companies
+ *     responses:
+ *       200:
+ *         description: The employer's companies.
+ *       403:
+ *         description: Caller is not an employer.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/mine',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  async (req, res) => {
+    try {
+      const memberships = await Membership.find({ employerId: req.user.id })
+        .select('companyId role createdAt')
+        .populate('companyId', 'name logoUrl industry size')
+        .lean();
+
+      res.json(
+        memberships
+          .filter((membership) => membership.companyId) // Skip deleted companies
+          .map(({ companyId, role, createdAt }) => ({
+            company: companyId,
+            role,
+            joinedAt: createdAt,
+          })),
+      );
+    } catch (err) {
+      console.error('Error fetching employer companies:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/companies/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation to join a company.
+ *     description: The signed-in employer's email must match the invited email.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Companies
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invitation email.
+ *     responses:
+ *       200:
+ *         description: Invitation accepted; returns the new membership.
+ *       400:
+ *         description: Input validation error, or invalid or expired token.
+ *       403:
+ *         description: The invitation was sent to a different email address.
+ *       409:
+ *         description: Already a member of the company.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/invitations/accept',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [check('token').notEmpty().withMessage('Token is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const tokenFilter = {
+        tokenHash: hashToken(String(req.body.token)),
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() },
+      };
+      const invitation = await CompanyInvitation.findOne(tokenFilter).lean();
+      if (!invitation) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid or expired invitation token' });
+      }
+
+      const employer = await Employer.findById(req.user.id)
+        .select('email')
+        .lean();
+      if (employer?.email.toLowerCase() !== invitation.email) {
+        return res.status(403).json({
+          error: 'Forbidden: This invitation was sent to a different email.',
+        });
+      }
+
+      if (
+        await Membership.exists({
+          companyId: invitation.companyId,
+          employerId: req.user.id,
+        })
+      ) {
+        return res
+          .status(409)
+          .json({ error: 'You are already a member of this company' });
+      }
+
+      // Mark accepted atomically so the token can only be used once
+      const accepted = await CompanyInvitation.findOneAndUpdate(tokenFilter, {
+        acceptedAt: new Date(),
+        acceptedBy: req.user.id,
+      });
+      if (!accepted) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid or expired invitation token' });
+      }
+
+      const membership = await Membership.create({
+        companyId: invitation.companyId,
+        employerId: req.user.id,
+        role: invitation.role,
+      });
+
+      res.json(membership);
+    } catch (err) {
+      console.error('Error accepting company invitation:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/companies/{id}:
+ *   get:
+ *     summary: Get a company's public profile and its open jobs.
+ *     tags:
+ *       - Companies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the company.
+ *     responses:
+ *       200:
+ *         description: Company profile with its published, unexpired jobs.
+ *       400:
+ *         description: Invalid company ID.
+ *       404:
+ *         description: Company not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid company ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const company = await Company.findById(req.params.id)
+        .select([...PROFILE_FIELDS, 'createdAt'].join(' '))
+        .lean();
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      const jobs = await Job.find({
+        companyId: company._id,
+        status: 'published',
+        expiresAt: { $not: { $lte: new Date() } },
+        ...(await activeEmployerFilter()),
+      })
+        .select(
+          'title location salaryRange employmentType remotePolicy seniority createdAt',
+        )
+        .sort({ createdAt: -1 })
+        .lean();
+
+      res.json({ ...company, jobs });
+    } catch (err) {
+      console.error('Error fetching company:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/companies/{id}:
+ *   put:
+ *     summary: Update a company's profile. Requires the admin or owner role.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Companies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the company.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Company'
+ *     responses:
+ *       200:
+ *         description: Company updated successfully.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an admin or owner of the company.
+ *       404:
+ *         description: Company not found.
+ *       500:
+ *         description: Server error.
+ */
+router.put(
+  '/:id',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid company ID'),
+    ...profileValidators(true),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const company = await Company.findById(req.params.id);
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      const role = await getCompanyRole(company._id, req.user.id);
+      if (!Membership.roleAtLeast(role, 'admin')) {
+        return res.status(403).json({
+          error: 'Forbidden: Only company admins can update the profile.',
+        });
+      }
+
+      Object.assign(company, pickProfile(req.body));
+      await company.save();
+
+      res.json(company);
+    } catch (err) {
+      console.error('Error updating company:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/companies/{id}/members:
+ *   get:
+ *     summary: List the members of a company. Requires membership.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Companies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the company.
+ *     responses:
+ *       200:
+ *         description: The company's members with their roles.
+ *       400:
+ *         description: Invalid company ID.
+ *       403:
+ *         description: Caller is not a member of the company.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/:id/members',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [param('id').isMongoId().withMessage('Invalid company ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!(await getCompanyRole(req.params.id, req.user.id))) {
+        return res.status(403).json({
+          error: 'Forbidden: You are not a member of this company.',
+        });
+      }
+
+      const members = await Membership.find({ companyId: req.params.id })
+        .select('employerId role createdAt')
+        .populate('employerId', 'name email')
+        .sort({ createdAt: 1 })
+        .lean();
+
+      res.json(
+        members.map(({ employerId, role, createdAt }) => ({
+          employer: employerId,
+          role,
+          joinedAt: createdAt,
+        })),
+      );
+    } catch (err) {
+      console.error('Error fetching company members:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/companies/{id}/members/{employerId}:
+ *   patch:
+ *     summary: Change a member's role.
+ *     description: |
+ *       Requires the admin or owner role. Only owners can grant or remove the
+ *       owner role, and a company always keeps at least one owner.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Companies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the company.
+ *       - in: path
+ *         name: employerId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the member.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, recruiter, viewer]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller may not make this change.
+ *       404:
+ *         description: Member not found.
+ *       409:
+ *         description: The change would leave the company without an owner.
+ *       500:
+ *         description: Server error.
+ */
+router.patch(
+  '/:id/members/:employerId',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid company ID'),
+    param('employerId').isMongoId().withMessage('Invalid employer ID'),
+    check('role')
+      .isIn(Membership.ROLES)
+      .withMessage(`Role must be one of: ${Membership.ROLES.join(', ')}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { id: companyId, employerId } = req.params;
+      const { role } = req.body;
+
+      const callerRole = await getCompanyRole(companyId, req.user.id);
+      if (!Membership.roleAtLeast(callerRole, 'admin')) {
+        return res.status(403).json({
+          error: 'Forbidden: Only company admins can change roles.',
+        });
+      }
+
+      const membership = await Membership.findOne({ companyId, employerId });
+      if (!membership) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      if (
+        (membership.role === 'owner' || role === 'owner') &&
+        callerRole !== 'owner'
+      ) {
+        return res.status(403).json({
+          error: 'Forbidden: Only owners can grant or remove the owner role.',
+        });
+      }
+
+      if (
+        membership.role === 'owner' &&
+        role !== 'owner' &&
+        (await Membership.countDocuments({ companyId, role: 'owner' })) <= 1
+      ) {
+        return res
+          .status(409)
+          .json({ error: 'A company must keep at least one owner' });
+      }
+
+      membership.role = role;
+      await membership.save();
+
+      res.json(membership);
+    } catch (err) {
+      console.error('Error updating company member:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/companies/{id}/members/{employerId}:
+ *   delete:
+ *     summary: Remove a member from a company, or leave it.
+ *     description: |
+ *       Admins and owners can remove members; anyone can remove themselves.
+ *       Only owners can remove an owner, and a company always keeps at least
+ *       one owner.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Companies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the company.
+ *       - in: path
+ *         name: employerId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the member.
+ *     responses:
+ *       200:
+ *         description: Member removed successfully.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller may not remove this member.
+ *       404:
+ *         description: Member not found.
+ *       409:
+ *         description: The change would leave the company without an owner.
+ *       500:
+ *         description: Server error.
+ */
+router.delete(
+  '/:id/members/:employerId',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid company ID'),
+    param('employerId').isMongoId().withMessage('Invalid employer ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { id: companyId, employerId } = req.params;
+      const isSelf = employerId === req.user.id.toString();
+
+      const callerRole = await getCompanyRole(companyId, req.user.id);
+      if (!isSelf && !Membership.roleAtLeast(callerRole, 'admin')) {
+        return res.status(403).json({
+          error: 'Forbidden: Only company admins can remove members.',
+        });
+      }
+
+      const membership = await Membership.findOne({ companyId, employerId });
+      if (!membership) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      if (membership.role === 'owner') {
+        if (callerRole !== 'owner') {
+          return res.status(403).json({
+            error: 'Forbidden: Only owners can remove an owner.',
+          });
+        }
+        if (
+          (await Membership.countDocuments({ companyId, role: 'owner' })) <= 1
+        ) {
+          return res
+            .status(409)
+            .json({ error: 'A company must keep at least one owner' });
+        }
+      }
+
+      await membership.deleteOne();
+
+      res.json({ message: 'Member removed successfully' });
+    } catch (err) {
+      console.error('Error removing company member:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/companies/{id}/invitations:
+ *   get:
+ *     summary: List pending invitations. Requires the admin or owner role.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Companies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the company.
+ *     responses:
+ *       200:
+ *         description: Invitations that have not been accepted or expired.
+ *       400:
+ *         description: Invalid company ID.
+ *       403:
+ *         description: Caller is not an admin or owner of the company.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/:id/invitations',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [param('id').isMongoId().withMessage('Invalid company ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const role = await getCompanyRole(req.params.id, req.user.id);
+      if (!Membership.roleAtLeast(role, 'admin')) {
+        return res.status(403).json({
+          error: 'Forbidden: Only company admins can view invitations.',
+        });
+      }
+
+      const invitations = await CompanyInvitation.find({
+        companyId: req.params.id,
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() },
+      })
+        .select('email role invitedBy expiresAt createdAt')
+        .sort({ createdAt: -1 })
+        .lean();
+
+      res.json(invitations);
+    } catch (err) {
+      console.error('Error fetching company invitations:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/companies/{id}/invitations:
+ *   post:
+ *     summary: Invite someone to join the company by email.
+ *     description: |
+ *       Requires the admin or owner role. The invitee receives a link with a
+ *       token to accept through `POST /api/companies/invitations/accept`.
+ *       Inviting the same email again replaces the previous invitation.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Companies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the company.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, recruiter, viewer]
+ *             example:
+ *               email: "recruiter@example.com"
+ *               role: "recruiter"
+ *     responses:
+ *       201:
+ *         description: Invitation sent.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an admin or owner of the company.
+ *       404:
+ *         description: Company not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/:id/invitations',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid company ID'),
+    check('email').isEmail().withMessage('A valid email is required'),
+    check('role')
+      .isIn(['admin', 'recruiter', 'viewer'])
+      .withMessage('Role must be one of: admin, recruiter, viewer'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const company = await Company.findById(req.params.id)
+        .select('_id name')
+        .lean();
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      const role = await getCompanyRole(company._id, req.user.id);
+      if (!Membership.roleAtLeast(role, 'admin')) {
+        return res.status(403).json({
+          error: 'Forbidden: Only company admins can invite members.',
+        });
+      }
+
+      const email = req.body.email.toLowerCase();
+      const token = crypto.randomBytes(32).toString('base64url');
+
+      // Replace any pending invitation for the same email
+      await CompanyInvitation.deleteMany({
+        companyId: company._id,
+        email,
+        acceptedAt: null,
+      });
+      const invitation = await CompanyInvitation.create({
+        companyId: company._id,
+        email,
+        role: req.body.role,
+        tokenHash: hashToken(token),
+        invitedBy: req.user.id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 3600000),
+      });
+
+      const inviter = await Employer.findById(req.user.id)
+        .select('name')
+        .lean();
+      await sendMail({
+        to: email,
+        ...companyInvitationEmail({
+          companyName: company.name,
+          inviterName: inviter?.name || 'A team member',
+          role: invitation.role,
+          token,
+          expiresInHours: INVITATION_TTL_HOURS,
+        }),
+      });
+
+      res.status(201).json({
+        _id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+      });
+    } catch (err) {
+      console.error('Error inviting company member:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,1449 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { check, validationResult, param, query } = require('express-validator');
+const router = express.Router();
+const Interview = require('../models/Interview');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const {
+  canManageJob,
+  canViewJob,
+  jobAccessFilter,
+} = require('../services/companyAccess');
+const {
+  issueResponseToken,
+  findByResponseToken,
+  slotEnd,
+  participantIds,
+  findConflicts,
+  notifyInterviewChange,
+  interviewCalendar,
+  sendInterviewEmail,
+  sendCancellationEmail,
+} = require('../services/interviews');
+
+const MAX_SLOTS = 10;
+const MAX_INTERVIEWERS = 10;
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Applications in these statuses can't be interviewed any more
+const CLOSED_APPLICATION_STATUSES = ['hired', 'rejected', 'withdrawn'];
+
+const isFutureDate = (value) => new Date(value) > new Date();
+
+/**
+ * Validators for proposed time slots. `optionalDuration` keeps the
+ * interview's current duration when none is given.
+ */
+const slotValidators = () => [
+  check('slots')
+    .isArray({ min: 1, max: MAX_SLOTS })
+    .withMessage(`slots must be an array of 1 to ${MAX_SLOTS} start times`)
+    .bail()
+    .custom(
+      (slots) =>
+        new Set(slots.map((slot) => Date.parse(slot))).size === slots.length,
+    )
+    .withMessage('slots cannot contain the same time twice'),
+  check('slots.*')
+    .isISO8601()
+    .withMessage('Each slot must be an ISO 8601 date')
+    .bail()
+    .custom(isFutureDate)
+    .withMessage('Each slot must be in the future'),
+  check('durationMinutes')
+    .optional()
+    .isInt({ min: 5, max: 480 })
+    .withMessage('durationMinutes must be between 5 and 480')
+    .toInt(),
+];
+
+/**
+ * Validators for the interview details employers can change.
+ */
+const detailValidators = () => [
+  check('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be 1 to 200 characters'),
+  check('location')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Location must be at most 500 characters'),
+  check('notes')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be at most 2000 characters'),
+  check('interviewerIds')
+    .optional()
+    .isArray({ max: MAX_INTERVIEWERS })
+    .withMessage(
+      `interviewerIds must be an array of at most ${MAX_INTERVIEWERS} employer IDs`,
+    ),
+  check('interviewerIds.*').isMongoId().withMessage('Invalid interviewer ID'),
+];
+
+/**
+ * Find the interviewers who can't see the job, and so can't interview for it.
+ */
+const findInvalidInterviewers = async (job, interviewerIds) => {
+  const invalid = [];
+  for (const id of interviewerIds) {
+    if (!(await canViewJob(job, { id, role: 'employer' }))) {
+      invalid.push(id);
+    }
+  }
+  return invalid;
+};
+
+const invalidInterviewersResponse = (res, invalid) =>
+  res.status(400).json({
+    errors: invalid.map((id) => ({
+      type: 'field',
+      value: id,
+      msg: 'Interviewers must be members of the job’s team',
+      path: 'interviewerIds',
+      location: 'body',
+    })),
+  });
+
+/**
+ * Bump the iCalendar sequence before changing an interview the candidate
+ * may already have in their calendar, so the update replaces it.
+ */
+const bumpSequence = (interview) => {
+  if (interview.scheduledAt) {
+    interview.sequence += 1;
+  }
+};
+
+/**
+ * Load an interview and its job, checking the signed-in employer's access
+ * with `canAccess` (`canViewJob` or `canManageJob`). Sends the error
+ * response and resolves with null when not found or not allowed.
+ */
+const loadInterview = async (req, res, canAccess) => {
+  const interview = await Interview.findById(req.params.id);
+  if (!interview) {
+    res.status(404).json({ error: 'Interview not found' });
+    return null;
+  }
+
+  const job = await Job.findById(interview.jobId)
+    .select('_id title employerId companyId')
+    .lean();
+  if (!job || !(await canAccess(job, req.user))) {
+    res
+      .status(403)
+      .json({ error: 'Forbidden: You cannot access this interview.' });
+    return null;
+  }
+
+  return { interview, job };
+};
+
+/**
+ * Load the interview behind a candidate's link, sending a 404 and
+ * resolving with null when the token is unknown.
+ */
+const loadByToken = async (token, res) => {
+  const interview = await findByResponseToken(token);
+  if (!interview) {
+    res.status(404).json({ error: 'Interview not found' });
+    return null;
+  }
+  return interview;
+};
+
+/**
+ * Reject changes to cancelled interviews. Returns true when the response
+ * was sent.
+ */
+const rejectIfCancelled = (interview, res) => {
+  if (interview.status !== 'cancelled') {
+    return false;
+  }
+  res.status(409).json({ error: 'This interview has been cancelled' });
+  return true;
+};
+
+const conflictResponse = (res, conflicts) =>
+  res.status(409).json({
+    error: 'An interviewer already has an interview at that time',
+    conflicts,
+  });
+
+/**
+ * An interview as the employer sees it.
+ */
+const toResponse = (interview) => {
+  const response = interview.toObject();
+  delete response.responseTokenHash;
+  return response;
+};
+
+/**
+ * An interview as the candidate sees it through their link. Only future
+ * slots are offered.
+ */
+const toCandidateView = (interview) => {
+  const now = new Date();
+  return {
+    _id: interview._id,
+    title: interview.title,
+    status: interview.status,
+    durationMinutes: interview.durationMinutes,
+    location: interview.location,
+    notes: interview.notes,
+    proposedSlots:
+      interview.status === 'proposed'
+        ? interview.proposedSlots.filter(({ startsAt }) => startsAt > now)
+        : [],
+    scheduledAt: interview.scheduledAt,
+    endsAt: interview.endsAt,
+  };
+};
+
+const sendCalendar = async (res, interview) => {
+  if (!interview.scheduledAt) {
+    return res
+      .status(409)
+      .json({ error: 'This interview has not been scheduled yet' });
+  }
+
+  const method = interview.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+  res
+    .type('text/calendar; charset=utf-8')
+    .attachment(`interview-${interview._id}.ics`)
+    .send(await interviewCalendar(interview, method));
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Interview:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         applicationId:
+ *           type: string
+ *         jobId:
+ *           type: string
+ *         candidateId:
+ *           type: string
+ *           description: Set when the candidate applied with an account.
+ *         candidateName:
+ *           type: string
+ *         candidateEmail:
+ *           type: string
+ *         organizerId:
+ *           type: string
+ *           description: Employer who set up the interview.
+ *         interviewerIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         title:
+ *           type: string
+ *         durationMinutes:
+ *           type: integer
+ *         location:
+ *           type: string
+ *           description: Address or video call link.
+ *         notes:
+ *           type: string
+ *           description: Shown to the candidate.
+ *         status:
+ *           type: string
+ *           enum: [proposed, reschedule_requested, scheduled, cancelled]
+ *         proposedSlots:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *         scheduledAt:
+ *           type: string
+ *           format: date-time
+ *           description: |
+ *             The time the candidate picked. Kept while a new time is
+ *             being found, so calendar invites can be updated.
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         sequence:
+ *           type: integer
+ *           description: Revision of the calendar invite.
+ *         rescheduleReason:
+ *           type: string
+ *           description: Why the candidate asked for other times.
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledByRole:
+ *           type: string
+ *           enum: [employer, candidate]
+ *         cancellationReason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/interviews:
+ *   post:
+ *     summary: Propose interview times to a candidate.
+ *     description: |
+ *       Emails the candidate a link to pick one of the slots. Slots that
+ *       overlap a scheduled interview of the organizer or an interviewer
+ *       are refused.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Interviews
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - applicationId
+ *               - slots
+ *             properties:
+ *               applicationId:
+ *                 type: string
+ *               slots:
+ *                 type: array
+ *                 description: 1 to 10 start times in the future.
+ *                 items:
+ *                   type: string
+ *                   format: date-time
+ *               durationMinutes:
+ *                 type: integer
+ *                 default: 60
+ *               title:
+ *                 type: string
+ *                 description: Defaults to "Interview for <job title>".
+ *               location:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               interviewerIds:
+ *                 type: array
+ *                 description: Employers on the job's team taking part besides the organizer.
+ *                 items:
+ *                   type: string
+ *             example:
+ *               applicationId: "665f1c2e8b3a4d0012a3b4c5"
+ *               slots: ["2025-07-01T14:00:00.000Z", "2025-07-02T09:30:00.000Z"]
+ *               durationMinutes: 45
+ *               location: "https://meet.example.com/abc-defg-hij"
+ *     responses:
+ *       201:
+ *         description: Interview proposed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Interview'
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage the application's job.
+ *       404:
+ *         description: Application not found.
+ *       409:
+ *         description: The application is closed, or a slot conflicts with another interview.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    check('applicationId').isMongoId().withMessage('Invalid application ID'),
+    ...slotValidators(),
+    ...detailValidators(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const application = await Application.findById(req.body.applicationId)
+        .select('jobId candidateId candidateName candidateEmail status')
+        .lean();
+      if (!application) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+
+      const job = await Job.findById(application.jobId)
+        .select('_id title employerId companyId')
+        .lean();
+      if (!job || !(await canManageJob(job, req.user))) {
+        return res.status(403).json({
+          error: 'Forbidden: You cannot schedule interviews for this job.',
+        });
+      }
+      if (CLOSED_APPLICATION_STATUSES.includes(application.status)) {
+        return res.status(409).json({
+          error: `Cannot interview for an application that is ${application.status}`,
+        });
+      }
+
+      const interviewerIds = [...new Set(req.body.interviewerIds || [])];
+      const invalid = await findInvalidInterviewers(job, interviewerIds);
+      if (invalid.length) {
+        return invalidInterviewersResponse(res, invalid);
+      }
+
+      const durationMinutes =
+        req.body.durationMinutes || DEFAULT_DURATION_MINUTES;
+      const slots = req.body.slots
+        .map((slot) => new Date(slot))
+        .sort((a, b) => a - b);
+      const conflicts = await findConflicts({
+        employerIds: participantIds({
+          organizerId: new mongoose.Types.ObjectId(req.user.id),
+          interviewerIds,
+        }),
+        ranges: slots.map((startsAt) => ({
+          startsAt,
+          endsAt: slotEnd(startsAt, durationMinutes),
+        })),
+      });
+      if (conflicts.length) {
+        return conflictResponse(res, conflicts);
+      }
+
+      const { token, tokenHash } = issueResponseToken();
+      const interview = await Interview.create({
+        applicationId: application._id,
+        jobId: job._id,
+        candidateId: application.candidateId,
+        candidateName: application.candidateName,
+        candidateEmail: application.candidateEmail,
+        organizerId: req.user.id,
+        interviewerIds,
+        title: req.body.title || `Interview for ${job.title}`,
+        durationMinutes,
+        location: req.body.location || undefined,
+        notes: req.body.notes || undefined,
+        proposedSlots: slots.map((startsAt) => ({ startsAt })),
+        responseTokenHash: tokenHash,
+      });
+
+      await sendInterviewEmail(interview, token);
+      notifyInterviewChange(req.io, job, interview, 'interviewProposed');
+
+      res.status(201).json(toResponse(interview));
+    } catch (err) {
+      console.error('Error proposing interview:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews:
+ *   get:
+ *     summary: List interviews for the employer's jobs.
+ *     description: Ordered by scheduled time; interviews without one come first.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Interviews
+ *     parameters:
+ *       - in: query
+ *         name: applicationId
+ *         schema:
+ *           type: string
+ *         description: Only return interviews for this application.
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         description: Only return interviews for this job.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [proposed, reschedule_requested, scheduled, cancelled]
+ *         description: Only return interviews in this status.
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only return interviews the caller organizes or takes part in.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return interviews scheduled at or after this time.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return interviews scheduled before this time.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of interviews per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A page of interviews.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 interviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Interview'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: The job does not belong to the employer or their company.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    query('applicationId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid application ID'),
+    query('jobId').optional().isMongoId().withMessage('Invalid job ID'),
+    query('status')
+      .optional()
+      .isIn(Interview.STATUSES)
+      .withMessage(`status must be one of: ${Interview.STATUSES.join(', ')}`),
+    query('mine')
+      .optional()
+      .isBoolean()
+      .withMessage('mine must be true or false'),
+    query(['from', 'to'])
+      .optional()
+      .isISO8601()
+      .withMessage('from and to must be ISO 8601 dates'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { applicationId, jobId, status, from, to } = req.query;
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      const filters = {};
+
+      if (jobId) {
+        const job = await Job.findById(jobId)
+          .select('_id employerId companyId')
+          .lean();
+        if (!job || !(await canViewJob(job, req.user))) {
+          return res.status(403).json({
+            error: 'Forbidden: You cannot view interviews for this job.',
+          });
+        }
+        filters.jobId = job._id;
+      } else {
+        // Restrict to every job the employer or their companies own
+        const jobIds = await Job.find(
+          await jobAccessFilter(req.user.id),
+        ).distinct('_id');
+        filters.jobId = { $in: jobIds };
+      }
+
+      if (applicationId) {
+        filters.applicationId = applicationId;
+      }
+      if (status) {
+        filters.status = status;
+      }
+      if (req.query.mine === 'true') {
+        filters.$or = [
+          { organizerId: req.user.id },
+          { interviewerIds: req.user.id },
+        ];
+      }
+      if (from || to) {
+        filters.scheduledAt = {};
+        if (from) filters.scheduledAt.$gte = new Date(from);
+        if (to) filters.scheduledAt.$lt = new Date(to);
+      }
+
+      const [interviews, total] = await Promise.all([
+        Interview.find(filters)
+          .sort({ scheduledAt: 1, createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Interview.countDocuments(filters),
+      ]);
+
+      res.json({
+        interviews,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      console.error('Error fetching interviews:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews/respond:
+ *   get:
+ *     summary: View an interview through the candidate's emailed link.
+ *     tags:
+ *       - Interviews
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the emailed link.
+ *     responses:
+ *       200:
+ *         description: The interview, with the slots the candidate can still pick.
+ *       400:
+ *         description: Input validation error.
+ *       404:
+ *         description: Unknown token.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/respond',
+  [query('token').isString().notEmpty().withMessage('Token is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const interview = await loadByToken(req.query.token, res);
+      if (!interview) return;
+
+      res.json(toCandidateView(interview));
+    } catch (err) {
+      console.error('Error fetching interview by token:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews/respond/calendar.ics:
+ *   get:
+ *     summary: Download the candidate's calendar invite for a scheduled interview.
+ *     tags:
+ *       - Interviews
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the emailed link.
+ *     responses:
+ *       200:
+ *         description: An iCalendar file.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Input validation error.
+ *       404:
+ *         description: Unknown token.
+ *       409:
+ *         description: The interview has not been scheduled yet.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/respond/calendar.ics',
+  [query('token').isString().notEmpty().withMessage('Token is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const interview = await loadByToken(req.query.token, res);
+      if (!interview) return;
+
+      await sendCalendar(res, interview);
+    } catch (err) {
+      console.error('Error building interview calendar:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews/respond/select:
+ *   post:
+ *     summary: Pick one of the proposed interview times.
+ *     description: Confirms the interview and emails the candidate a calendar invite.
+ *     tags:
+ *       - Interviews
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - slotId
+ *             properties:
+ *               token:
+ *                 type: string
+ *               slotId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview scheduled.
+ *       400:
+ *         description: Input validation error, or an unknown slot.
+ *       404:
+ *         description: Unknown token.
+ *       409:
+ *         description: The interview is not waiting for a choice, or the time is no longer available.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/respond/select',
+  [
+    check('token').isString().notEmpty().withMessage('Token is required'),
+    check('slotId').isMongoId().withMessage('Invalid slot ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const interview = await loadByToken(req.body.token, res);
+      if (!interview) return;
+
+      if (interview.status !== 'proposed') {
+        return res
+          .status(409)
+          .json({ error: 'This interview is not waiting for a time choice' });
+      }
+
+      const slot = interview.proposedSlots.id(req.body.slotId);
+      if (!slot) {
+        return res.status(400).json({ error: 'Unknown slot' });
+      }
+      if (slot.startsAt <= new Date()) {
+        return res.status(409).json({ error: 'This time has already passed' });
+      }
+
+      const scheduledAt = slot.startsAt;
+      const endsAt = slotEnd(scheduledAt, interview.durationMinutes);
+      const conflicts = await findConflicts({
+        employerIds: participantIds(interview),
+        ranges: [{ startsAt: scheduledAt, endsAt }],
+        excludeId: interview._id,
+      });
+      if (conflicts.length) {
+        return res
+          .status(409)
+          .json({ error: 'This time is no longer available' });
+      }
+
+      // Only one choice wins if the link is used twice at once
+      const scheduled = await Interview.findOneAndUpdate(
+        {
+          _id: interview._id,
+          status: 'proposed',
+          sequence: interview.sequence,
+        },
+        {
+          status: 'scheduled',
+          scheduledAt,
+          endsAt,
+          $inc: { sequence: interview.scheduledAt ? 1 : 0 },
+        },
+        { new: true },
+      );
+      if (!scheduled) {
+        return res
+          .status(409)
+          .json({ error: 'This interview is not waiting for a time choice' });
+      }
+
+      const job = await Job.findById(scheduled.jobId)
+        .select('_id employerId companyId')
+        .lean();
+      await sendInterviewEmail(scheduled, req.body.token);
+      if (job) {
+        notifyInterviewChange(req.io, job, scheduled, 'interviewScheduled');
+      }
+
+      res.json(toCandidateView(scheduled));
+    } catch (err) {
+      console.error('Error selecting interview slot:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews/respond/reschedule:
+ *   post:
+ *     summary: Ask the employer for other interview times.
+ *     description: Frees the current time, if one was picked, until the employer proposes new slots.
+ *     tags:
+ *       - Interviews
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request sent to the employer.
+ *       400:
+ *         description: Input validation error.
+ *       404:
+ *         description: Unknown token.
+ *       409:
+ *         description: The interview has been cancelled.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/respond/reschedule',
+  [
+    check('token').isString().notEmpty().withMessage('Token is required'),
+    check('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Reason must be at most 1000 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const interview = await loadByToken(req.body.token, res);
+      if (!interview || rejectIfCancelled(interview, res)) return;
+
+      interview.status = 'reschedule_requested';
+      interview.rescheduleReason = req.body.reason || undefined;
+      await interview.save();
+
+      const job = await Job.findById(interview.jobId)
+        .select('_id employerId companyId')
+        .lean();
+      if (job) {
+        notifyInterviewChange(
+          req.io,
+          job,
+          interview,
+          'interviewRescheduleRequested',
+        );
+      }
+
+      res.json(toCandidateView(interview));
+    } catch (err) {
+      console.error('Error requesting interview reschedule:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews/respond/cancel:
+ *   post:
+ *     summary: Cancel an interview as the candidate.
+ *     tags:
+ *       - Interviews
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview cancelled.
+ *       400:
+ *         description: Input validation error.
+ *       404:
+ *         description: Unknown token.
+ *       409:
+ *         description: The interview was already cancelled.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/respond/cancel',
+  [
+    check('token').isString().notEmpty().withMessage('Token is required'),
+    check('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Reason must be at most 1000 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const interview = await loadByToken(req.body.token, res);
+      if (!interview || rejectIfCancelled(interview, res)) return;
+
+      bumpSequence(interview);
+      interview.status = 'cancelled';
+      interview.cancelledAt = new Date();
+      interview.cancelledByRole = 'candidate';
+      interview.cancellationReason = req.body.reason || undefined;
+      await interview.save();
+
+      await sendCancellationEmail(interview, Boolean(interview.scheduledAt));
+      const job = await Job.findById(interview.jobId)
+        .select('_id employerId companyId')
+        .lean();
+      if (job) {
+        notifyInterviewChange(req.io, job, interview, 'interviewCancelled');
+      }
+
+      res.json(toCandidateView(interview));
+    } catch (err) {
+      console.error('Error cancelling interview by token:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews/{id}:
+ *   get:
+ *     summary: Get an interview.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Interviews
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the interview.
+ *     responses:
+ *       200:
+ *         description: The interview.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Interview'
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not on the job's team.
+ *       404:
+ *         description: Interview not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/:id',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [param('id').isMongoId().withMessage('Invalid interview ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const loaded = await loadInterview(req, res, canViewJob);
+      if (!loaded) return;
+
+      res.json(toResponse(loaded.interview));
+    } catch (err) {
+      console.error('Error fetching interview:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews/{id}/calendar.ics:
+ *   get:
+ *     summary: Download the calendar invite of a scheduled interview.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Interviews
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the interview.
+ *     responses:
+ *       200:
+ *         description: An iCalendar file; a cancellation for cancelled interviews.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not on the job's team.
+ *       404:
+ *         description: Interview not found.
+ *       409:
+ *         description: The interview has not been scheduled yet.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/:id/calendar.ics',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [param('id').isMongoId().withMessage('Invalid interview ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const loaded = await loadInterview(req, res, canViewJob);
+      if (!loaded) return;
+
+      await sendCalendar(res, loaded.interview);
+    } catch (err) {
+      console.error('Error building interview calendar:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews/{id}:
+ *   patch:
+ *     summary: Change an interview's details or interviewers.
+ *     description: |
+ *       The candidate is emailed an updated calendar invite when the
+ *       interview is scheduled. New interviewers must be free at the
+ *       scheduled time.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Interviews
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the interview.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *                 nullable: true
+ *               notes:
+ *                 type: string
+ *                 nullable: true
+ *               interviewerIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Interview updated.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage the job.
+ *       404:
+ *         description: Interview not found.
+ *       409:
+ *         description: The interview was cancelled, or a new interviewer is busy at the scheduled time.
+ *       500:
+ *         description: Server error.
+ */
+router.patch(
+  '/:id',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid interview ID'),
+    ...detailValidators(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const loaded = await loadInterview(req, res, canManageJob);
+      if (!loaded) return;
+      const { interview, job } = loaded;
+      if (rejectIfCancelled(interview, res)) return;
+
+      if (req.body.interviewerIds) {
+        const interviewerIds = [...new Set(req.body.interviewerIds)];
+        const invalid = await findInvalidInterviewers(job, interviewerIds);
+        if (invalid.length) {
+          return invalidInterviewersResponse(res, invalid);
+        }
+
+        // Only interviewers joining need to be free at the booked time
+        const current = participantIds(interview).map(String);
+        const joining = interviewerIds.filter((id) => !current.includes(id));
+        if (interview.status === 'scheduled') {
+          const conflicts = await findConflicts({
+            employerIds: joining.map((id) => new mongoose.Types.ObjectId(id)),
+            ranges: [
+              { startsAt: interview.scheduledAt, endsAt: interview.endsAt },
+            ],
+            excludeId: interview._id,
+          });
+          if (conflicts.length) {
+            return conflictResponse(res, conflicts);
+          }
+        }
+        interview.interviewerIds = interviewerIds;
+      }
+
+      for (const field of ['title', 'location', 'notes']) {
+        if (req.body[field] !== undefined) {
+          interview[field] = req.body[field] || undefined;
+        }
+      }
+
+      // Send the candidate an updated invite that replaces the old one
+      const notifyCandidateByEmail =
+        interview.status === 'scheduled' &&
+        ['title', 'location', 'notes'].some((field) =>
+          interview.isModified(field),
+        );
+      let token;
+      if (notifyCandidateByEmail) {
+        bumpSequence(interview);
+        ({ token, tokenHash: interview.responseTokenHash } =
+          issueResponseToken());
+      }
+      await interview.save();
+
+      if (notifyCandidateByEmail) {
+        await sendInterviewEmail(interview, token, { updated: true });
+      }
+      notifyInterviewChange(req.io, job, interview, 'interviewUpdated');
+
+      res.json(toResponse(interview));
+    } catch (err) {
+      console.error('Error updating interview:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews/{id}/reschedule:
+ *   post:
+ *     summary: Propose new interview times.
+ *     description: |
+ *       Replaces the proposed slots, frees the current time if one was
+ *       picked, and emails the candidate a new link to choose again.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Interviews
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the interview.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - slots
+ *             properties:
+ *               slots:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date-time
+ *               durationMinutes:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: New times proposed.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage the job.
+ *       404:
+ *         description: Interview not found.
+ *       409:
+ *         description: The interview was cancelled, or a slot conflicts with another interview.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/:id/reschedule',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid interview ID'),
+    ...slotValidators(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const loaded = await loadInterview(req, res, canManageJob);
+      if (!loaded) return;
+      const { interview, job } = loaded;
+      if (rejectIfCancelled(interview, res)) return;
+
+      const durationMinutes =
+        req.body.durationMinutes || interview.durationMinutes;
+      const slots = req.body.slots
+        .map((slot) => new Date(slot))
+        .sort((a, b) => a - b);
+      const conflicts = await findConflicts({
+        employerIds: participantIds(interview),
+        ranges: slots.map((startsAt) => ({
+          startsAt,
+          endsAt: slotEnd(startsAt, durationMinutes),
+        })),
+        excludeId: interview._id,
+      });
+      if (conflicts.length) {
+        return conflictResponse(res, conflicts);
+      }
+
+      // A new link, so the old one can't pick from the previous slots
+      const { token, tokenHash } = issueResponseToken();
+      bumpSequence(interview);
+      interview.status = 'proposed';
+      interview.durationMinutes = durationMinutes;
+      interview.proposedSlots = slots.map((startsAt) => ({ startsAt }));
+      interview.rescheduleReason = undefined;
+      interview.responseTokenHash = tokenHash;
+      await interview.save();
+
+      await sendInterviewEmail(interview, token);
+      notifyInterviewChange(req.io, job, interview, 'interviewRescheduled');
+
+      res.json(toResponse(interview));
+    } catch (err) {
+      console.error('Error rescheduling interview:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/interviews/{id}/cancel:
+ *   post:
+ *     summary: Cancel an interview.
+ *     description: Emails the candidate, with a calendar cancellation if a time had been picked.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Interviews
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the interview.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Shown to the candidate.
+ *     responses:
+ *       200:
+ *         description: Interview cancelled.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage the job.
+ *       404:
+ *         description: Interview not found.
+ *       409:
+ *         description: The interview was already cancelled.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/:id/cancel',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid interview ID'),
+    check('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Reason must be at most 1000 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const loaded = await loadInterview(req, res, canManageJob);
+      if (!loaded) return;
+      const { interview, job } = loaded;
+      if (rejectIfCancelled(interview, res)) return;
+
+      bumpSequence(interview);
+      interview.status = 'cancelled';
+      interview.cancelledAt = new Date();
+      interview.cancelledByRole = 'employer';
+      interview.cancellationReason = req.body.reason || undefined;
+      await interview.save();
+
+      await sendCancellationEmail(interview, Boolean(interview.scheduledAt));
+      notifyInterviewChange(req.io, job, interview, 'interviewCancelled');
+
+      res.json(toResponse(interview));
+    } catch (err) {
+      console.error('Error cancelling interview:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -1,55 +1,1473 @@
+const { once } = require('events');
 const express = require('express');
+const mongoose = require('mongoose');
 const { check, validationResult, param, query } = require('express-validator');
 const router = express.Router();
 const Job = require('../models/Job');
-const { authenticateJWT } = require('../middleware/auth');
+const Application = require('../models/Application');
+const Employer = require('../models/Employer');
+const Company = require('../models/Company');
+const JobReport = require('../models/JobReport');
+const {
+  hasCompanyRole,
+  canManageJob,
+  canViewJob,
+  jobAccessFilter,
+} = require('../services/companyAccess');
+const {
+  authenticateJWT,
+  optionalAuthenticateJWT,
+  authorizeRoles,
+} = require('../middleware/auth');
+const { uploadImportFile } = require('../middleware/upload');
+const {
+  notifyJobTeam,
+  notifyJobStatusChange,
+} = require('../services/notifications');
+const { emitWebhookEvent } = require('../services/webhooks');
+const {
+  validateQuestions,
+  toPublicQuestion,
+} = require('../services/screening');
+const { matchJobAlerts } = require('../services/jobAlerts');
+const {
+  normalize,
+  suggest,
+  invalidateSuggestions,
+} = require('../services/jobSuggestions');
+const {
+  parseSearchCriteria,
+  buildSearchFilters,
+  titlePrefixFilter,
+  geoRadiusFilter,
+  facetStage,
+  formatFacets,
+} = require('../services/jobSearch');
+const { recordJobView } = require('../services/jobAnalytics');
+const {
+  activeEmployerFilter,
+  isEmployerSuspended,
+} = require('../services/moderation');
+const { snapshot, diffSnapshots, recordAudit } = require('../services/audit');
+const { formatCsvRow } = require('../services/csv');
+const {
+  toJobPosting,
+  feedHeader,
+  feedJob,
+  FEED_FOOTER,
+} = require('../services/jobSyndication');
+const {
+  JOB_EXPORT_COLUMNS,
+  APPLICATION_COLUMNS,
+  parseJobCsv,
+  jobCsvValues,
+  applicationCsvValues,
+} = require('../services/jobTransfer');
+
+// Fields returned by the list endpoint, and those callers may pick from
+const DEFAULT_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'geoLocation',
+  'salaryRange',
+  'employmentType',
+  'remotePolicy',
+  'seniority',
+  'skills',
+  'applicationDeadline',
+  'expiresAt',
+  'employerId',
+  'companyId',
+  'createdAt',
+];
+const SELECTABLE_FIELDS = [...DEFAULT_FIELDS, 'updatedAt'];
+
+// Fields returned for a single job; the owner also sees its lifecycle
+const DETAIL_FIELDS = [
+  ...SELECTABLE_FIELDS,
+  'status',
+  'publishAt',
+  'closeAt',
+  'publishedAt',
+  'closedAt',
+  'maxApplications',
+  'screeningQuestions',
+  'knockoutAction',
+  'moderation',
+];
+
+// Employer fields shown alongside a job
+const EMPLOYER_SUMMARY_FIELDS = 'name company';
+
+// Company fields named in structured data and the job feed
+const COMPANY_SUMMARY_FIELDS = 'name website logoUrl';
+
+// Content type of schema.org structured data
+const JSON_LD_TYPE = 'application/ld+json';
+
+// Statuses a job can be created in
+const INITIAL_STATUSES = ['draft', 'scheduled', 'published'];
+
+// Supported `sort` values for the list endpoint
+const SORT_OPTIONS = {
+  createdAt: { field: 'createdAt', direction: 1 },
+  '-createdAt': { field: 'createdAt', direction: -1 },
+  salary: { field: 'salaryRange.min', direction: 1 },
+  '-salary': { field: 'salaryRange.min', direction: -1 },
+  relevance: { field: 'score', direction: -1 },
+};
+const DEFAULT_SORT = '-createdAt';
+
+/**
+ * The sort order of a search: by relevance when searching by keyword,
+ * newest first otherwise.
+ */
+const resolveSort = (query) =>
+  query.sort || (query.title ? 'relevance' : DEFAULT_SORT);
+
+// Radius search takes all three parameters
+const GEO_PARAMS = ['lat', 'lng', 'radiusKm'];
+const hasAllGeoParams = (value, { req }) =>
+  GEO_PARAMS.every((key) => req.query[key] !== undefined);
+
+// Job attributes set through POST and PUT, besides the core fields
+const JOB_ATTRIBUTES = [
+  'employmentType',
+  'remotePolicy',
+  'seniority',
+  'skills',
+  'applicationDeadline',
+  'expiresAt',
+  'closeAt',
+  'coordinates',
+  'maxApplications',
+  'screeningQuestions',
+  'knockoutAction',
+];
+
+const isFutureDate = (value) => new Date(value) > new Date();
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validators for the optional job attributes, shared by create and update.
+ */
+const jobAttributeValidators = () => [
+  check('salaryRange.currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Salary currency must be an ISO 4217 code (e.g. USD)'),
+  check('salaryRange.period')
+    .optional()
+    .isIn(Job.SALARY_PERIODS)
+    .withMessage(
+      `Salary period must be one of: ${Job.SALARY_PERIODS.join(', ')}`,
+    ),
+  check('employmentType')
+    .optional()
+    .isIn(Job.EMPLOYMENT_TYPES)
+    .withMessage(
+      `Employment type must be one of: ${Job.EMPLOYMENT_TYPES.join(', ')}`,
+    ),
+  check('remotePolicy')
+    .optional()
+    .isIn(Job.REMOTE_POLICIES)
+    .withMessage(
+      `Remote policy must be one of: ${Job.REMOTE_POLICIES.join(', ')}`,
+    ),
+  check('seniority')
+    .optional({ values: 'null' }) // null clears the field on update
+    .isIn(Job.SENIORITY_LEVELS)
+    .withMessage(
+      `Seniority must be one of: ${Job.SENIORITY_LEVELS.join(', ')}`,
+    ),
+  check('skills')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Skills must be an array of at most 50 tags'),
+  check('skills.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage(
+      'Each skill must be a non-empty string of at most 50 characters',
+    ),
+  check('applicationDeadline')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Application deadline must be an ISO 8601 date'),
+  check('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry date must be an ISO 8601 date')
+    .bail()
+    .custom(isFutureDate)
+    .withMessage('Expiry date must be in the future')
+    .bail()
+    .custom(
+      (expiresAt, { req }) =>
+        !req.body.applicationDeadline ||
+        new Date(req.body.applicationDeadline) <= new Date(expiresAt),
+    )
+    .withMessage('Application deadline cannot be after the expiry date'),
+  check('closeAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Close date must be an ISO 8601 date')
+    .bail()
+    .custom(isFutureDate)
+    .withMessage('Close date must be in the future'),
+  check('maxApplications')
+    .optional({ values: 'null' }) // null removes the limit
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('maxApplications must be an integer between 1 and 100000')
+    .toInt(),
+  check('screeningQuestions').optional().custom(validateQuestions),
+  check('knockoutAction')
+    .optional()
+    .isIn(Job.KNOCKOUT_ACTIONS)
+    .withMessage(
+      `knockoutAction must be one of: ${Job.KNOCKOUT_ACTIONS.join(', ')}`,
+    ),
+  check('coordinates')
+    .optional({ values: 'null' }) // null removes the job from radius search
+    .isObject()
+    .withMessage('Coordinates must be an object with lat and lng'),
+  check('coordinates.lat')
+    .if((value, { req }) => isPlainObject(req.body.coordinates))
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  check('coordinates.lng')
+    .if((value, { req }) => isPlainObject(req.body.coordinates))
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+];
+
+/**
+ * Validators for creating a job, shared by `POST /` and bulk imports.
+ */
+const createJobValidators = () => [
+  check('title').notEmpty().withMessage('Title is required'),
+  check('description').notEmpty().withMessage('Description is required'),
+  check('location').notEmpty().withMessage('Location is required'),
+  check('salaryRange.min')
+    .isNumeric()
+    .withMessage('Minimum salary must be a number'),
+  check('salaryRange.max')
+    .isNumeric()
+    .withMessage('Maximum salary must be a number'),
+  ...jobAttributeValidators(),
+  check('status')
+    .optional()
+    .isIn(INITIAL_STATUSES)
+    .withMessage(`Status must be one of: ${INITIAL_STATUSES.join(', ')}`),
+  check('publishAt')
+    .if((value, { req }) => req.body.status === 'scheduled')
+    .isISO8601()
+    .withMessage('publishAt is required to schedule a job')
+    .bail()
+    .custom(isFutureDate)
+    .withMessage('publishAt must be in the future'),
+  check('companyId').optional().isMongoId().withMessage('Invalid company ID'),
+];
+
+// Posting on behalf of a company requires at least the recruiter role
+const canPostForCompany = (companyId, employerId) =>
+  hasCompanyRole(companyId, employerId, 'recruiter');
+
+/**
+ * Copy the given keys of an object, skipping those that are undefined.
+ */
+const pick = (source, keys) =>
+  Object.fromEntries(
+    keys
+      .filter((key) => source[key] !== undefined)
+      .map((key) => [key, source[key]]),
+  );
+
+/**
+ * A new, unsaved job from a validated create request body.
+ */
+const buildJob = (body, employerId) => {
+  const status = body.status || 'published';
+  return new Job({
+    title: body.title,
+    description: body.description,
+    location: body.location,
+    salaryRange: body.salaryRange,
+    ...pick(body, JOB_ATTRIBUTES),
+    status,
+    publishAt: status === 'scheduled' ? body.publishAt : undefined,
+    publishedAt: status === 'published' ? new Date() : undefined,
+    employerId,
+    companyId: body.companyId,
+  });
+};
+
+/**
+ * Tell webhooks, and saved searches if it was published, about a new job.
+ */
+const announceNewJob = (io, job) => {
+  emitWebhookEvent('job.created', job, { job: job.toObject() });
+  if (job.status === 'published') {
+    matchJobAlerts(io, job);
+  }
+};
+
+/**
+ * Record a change to a job in the audit log.
+ */
+const auditJob = (req, action, job, changes, metadata) =>
+  recordAudit(req, {
+    action,
+    target: { type: 'job', id: job._id },
+    job,
+    changes,
+    metadata,
+  });
+
+// The create validators, run on each row of a bulk import
+const IMPORT_ROW_VALIDATORS = createJobValidators();
+const MAX_IMPORT_ROWS = 500;
+
+// MongoDB's error when transactions aren't available (not a replica set)
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+// Export formats and their content types
+const EXPORT_FORMATS = { csv: 'text/csv', ndjson: 'application/x-ndjson' };
+const EXPORT_TYPES = ['jobs', 'applications'];
+
+// Application fields to export; the job title is looked up separately
+const APPLICATION_EXPORT_FIELDS = APPLICATION_COLUMNS.filter(
+  (column) => column !== 'jobTitle',
+).join(' ');
+
+/**
+ * Read the jobs to import: a CSV or JSON array `file`, or the JSON body.
+ * Throws an Error describing what can't be read.
+ */
+const readImportRows = (req) => {
+  let rows = req.body;
+  if (req.file) {
+    const text = req.file.buffer.toString('utf8');
+    try {
+      rows = req.file.originalname.toLowerCase().endsWith('.csv')
+        ? parseJobCsv(text)
+        : JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Could not read the file: ${err.message}`);
+    }
+  }
+
+  if (!Array.isArray(rows)) {
+    throw new Error(
+      'Send the jobs as a JSON array, or upload a CSV or JSON file as `file`',
+    );
+  }
+  if (!rows.length || rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports must contain 1 to ${MAX_IMPORT_ROWS} jobs`);
+  }
+  return rows;
+};
+
+/**
+ * Check one imported job as `POST /` would, then against the model.
+ * Returns `{ errors }` in the shape of express-validator errors, or the
+ * `{ job }` ready to save. `companyAccess` caches permission checks
+ * between rows.
+ */
+const validateImportRow = async (body, employerId, companyAccess) => {
+  if (!isPlainObject(body)) {
+    return { errors: [{ type: 'row', msg: 'Each job must be an object' }] };
+  }
+
+  const rowReq = { body };
+  for (const validator of IMPORT_ROW_VALIDATORS) {
+    await validator.run(rowReq);
+  }
+  const errors = validationResult(rowReq);
+  if (!errors.isEmpty()) {
+    return { errors: errors.array() };
+  }
+
+  const { companyId } = body;
+  if (companyId) {
+    if (!companyAccess.has(companyId)) {
+      companyAccess.set(
+        companyId,
+        await canPostForCompany(companyId, employerId),
+      );
+    }
+    if (!companyAccess.get(companyId)) {
+      return {
+        errors: [
+          {
+            type: 'field',
+            value: companyId,
+            msg: 'You cannot post jobs for this company',
+            path: 'companyId',
+            location: 'body',
+          },
+        ],
+      };
+    }
+  }
+
+  const job = buildJob(body, employerId);
+  try {
+    await job.validate();
+  } catch (err) {
+    if (!(err instanceof mongoose.Error.ValidationError)) throw err;
+    return {
+      errors: Object.values(err.errors).map(({ path, value, message }) => ({
+        type: 'field',
+        value,
+        msg: message,
+        path,
+        location: 'body',
+      })),
+    };
+  }
+  return { job };
+};
+
+/**
+ * Write each document of a query cursor to the response as a line,
+ * pausing while the client catches up, and end the response with
+ * `footer`. Stops early if the client goes away.
+ */
+const streamLines = async (res, cursor, formatLine, footer = '') => {
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    if (!res.write(formatLine(doc))) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  }
+  res.end(footer);
+};
+
+/**
+ * Validate a comma-separated query parameter against a list of values.
+ */
+const isListOf = (values) => (list) =>
+  list.split(',').every((value) => values.includes(value));
+
+/**
+ * Encode the position after the last job of a page as an opaque cursor.
+ */
+const encodeCursor = ({ sort, value, id }) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sort,
+      v: value instanceof Date ? value.toISOString() : value,
+      id,
+    }),
+  ).toString('base64url');
+
+/**
+ * Decode a cursor from `encodeCursor`. Returns null if it is malformed.
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { s, v, id } = JSON.parse(
+      Buffer.from(String(cursor), 'base64url').toString(),
+    );
+    if (!SORT_OPTIONS[s] || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    const isDate = SORT_OPTIONS[s].field === 'createdAt';
+    if (isDate ? isNaN(Date.parse(v)) : typeof v !== 'number') {
+      return null;
+    }
+
+    return {
+      sort: s,
+      value: isDate ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: Search for jobs by keyword, location, distance, and salary range.
+ *     description: |
+ *       Results are paginated. By default cursor pagination is used: pass the
+ *       `nextCursor` from the previous response as `cursor` to fetch the next
+ *       page. Pass `page` instead for offset pagination.
+ *       Pass `facets=true` to also get counts of all matching jobs by
+ *       location, employment type and salary band.
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Keywords to search for in job titles and descriptions. Jobs
+ *           matching any keyword are returned; title matches rank highest.
+ *       - in: query
+ *         name: titlePrefix
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Partial title for autocomplete. Each word must start a word of
+ *           the title, e.g. `soft eng` matches "Senior Software Engineer".
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Location to match, case-insensitively, from the start of a word (e.g. `york`).
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude of the center of a radius search. Requires `lng` and `radiusKm`.
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitude of the center of a radius search.
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *         description: Radius in kilometres (max 1000). Only jobs with coordinates are matched.
+ *       - in: query
+ *         name: minSalary
+ *         schema:
+ *           type: number
+ *         description: Minimum salary.
+ *       - in: query
+ *         name: maxSalary
+ *         schema:
+ *           type: number
+ *         description: Maximum salary.
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Salary currency (ISO 4217).
+ *       - in: query
+ *         name: salaryPeriod
+ *         schema:
+ *           type: string
+ *           enum: [hour, day, week, month, year]
+ *         description: Salary period.
+ *       - in: query
+ *         name: employmentType
+ *         schema:
+ *           type: string
+ *         description: Comma-separated employment types (full-time, part-time, contract, internship).
+ *       - in: query
+ *         name: remotePolicy
+ *         schema:
+ *           type: string
+ *         description: Comma-separated remote policies (remote, hybrid, onsite).
+ *       - in: query
+ *         name: seniority
+ *         schema:
+ *           type: string
+ *         description: Comma-separated seniority levels (intern, junior, mid, senior, lead, principal).
+ *       - in: query
+ *         name: skills
+ *         schema:
+ *           type: string
+ *         description: Comma-separated skills; jobs must require all of them.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, salary, -salary, relevance]
+ *         description: |
+ *           Sort order. Prefix with `-` for descending. `salary` sorts by the
+ *           minimum salary. `relevance` ranks by text score and requires
+ *           `title`. Defaults to `relevance` with `title`, `-createdAt`
+ *           otherwise.
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include facet counts in the response.
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of fields to return (e.g. `title,location`).
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of jobs per page (max 100).
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the previous page's `nextCursor`.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number for offset pagination. Cannot be combined with `cursor`.
+ *     responses:
+ *       200:
+ *         description: A page of matching job postings.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     page:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                 facets:
+ *                   type: object
+ *                   description: Only with `facets=true`.
+ *                   properties:
+ *                     location:
+ *                       type: array
+ *                       description: The 10 most common locations.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     employmentType:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     salary:
+ *                       type: array
+ *                       description: |
+ *                         Bands of minimum salary, in any currency and
+ *                         period. `max` is exclusive, and null for the top band.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           min:
+ *                             type: number
+ *                           max:
+ *                             type: number
+ *                             nullable: true
+ *                           count:
+ *                             type: integer
+ *       400:
+ *         description: Input validation error.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/',
+  [
+    query('titlePrefix')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .custom((prefix) => Job.tokenize(prefix).length > 0)
+      .withMessage('titlePrefix must contain a word of at most 100 characters'),
+    query('lat')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('lat must be between -90 and 90')
+      .bail()
+      .custom(hasAllGeoParams)
+      .withMessage('lat, lng and radiusKm must be given together'),
+    query('lng')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('lng must be between -180 and 180')
+      .bail()
+      .custom(hasAllGeoParams)
+      .withMessage('lat, lng and radiusKm must be given together'),
+    query('radiusKm')
+      .optional()
+      .isFloat({ gt: 0, max: 1000 })
+      .withMessage('radiusKm must be greater than 0 and at most 1000')
+      .bail()
+      .custom(hasAllGeoParams)
+      .withMessage('lat, lng and radiusKm must be given together'),
+    query('facets')
+      .optional()
+      .isBoolean()
+      .withMessage('facets must be true or false'),
+    query('minSalary')
+      .optional()
+      .isNumeric()
+      .withMessage('minSalary must be a number'),
+    query('maxSalary')
+      .optional()
+      .isNumeric()
+      .withMessage('maxSalary must be a number'),
+    query('employmentType')
+      .optional()
+      .custom(isListOf(Job.EMPLOYMENT_TYPES))
+      .withMessage(
+        `employmentType must be one or more of: ${Job.EMPLOYMENT_TYPES.join(', ')}`,
+      ),
+    query('remotePolicy')
+      .optional()
+      .custom(isListOf(Job.REMOTE_POLICIES))
+      .withMessage(
+        `remotePolicy must be one or more of: ${Job.REMOTE_POLICIES.join(', ')}`,
+      ),
+    query('seniority')
+      .optional()
+      .custom(isListOf(Job.SENIORITY_LEVELS))
+      .withMessage(
+        `seniority must be one or more of: ${Job.SENIORITY_LEVELS.join(', ')}`,
+      ),
+    query('skills')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('skills must be a comma-separated list'),
+    query('currency')
+      .optional()
+      .isISO4217()
+      .withMessage('currency must be an ISO 4217 code'),
+    query('salaryPeriod')
+      .optional()
+      .isIn(Job.SALARY_PERIODS)
+      .withMessage(
+        `salaryPeriod must be one of: ${Job.SALARY_PERIODS.join(', ')}`,
+      ),
+    query('sort')
+      .optional()
+      .isIn(Object.keys(SORT_OPTIONS))
+      .withMessage(
+        `sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`,
+      )
+      .custom((sort, { req }) => sort !== 'relevance' || req.query.title)
+      .withMessage('sort=relevance requires a title search'),
+    query('fields')
+      .optional()
+      .custom((fields) =>
+        fields.split(',').every((field) => SELECTABLE_FIELDS.includes(field)),
+      )
+      .withMessage(
+        `fields must be a subset of: ${SELECTABLE_FIELDS.join(', ')}`,
+      ),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('page must be a positive integer'),
+    query('cursor')
+      .optional()
+      .custom((cursor, { req }) => {
+        if (req.query.page) {
+          throw new Error('cursor cannot be combined with page');
+        }
+        const decoded = decodeCursor(cursor);
+        if (!decoded || decoded.sort !== resolveSort(req.query)) {
+          throw new Error('Invalid cursor for this sort order');
+        }
+        return true;
+      }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const sort = resolveSort(req.query);
+      const limit = Number(req.query.limit) || 20;
+      const page = req.query.page ? Number(req.query.page) : null;
+      const fields = req.query.fields
+        ? req.query.fields.split(',')
+        : DEFAULT_FIELDS;
+
+      // Only published jobs are listed, until they expire, and not those
+      // of suspended employers
+      const filters = {
+        ...buildSearchFilters(parseSearchCriteria(req.query)),
+        status: 'published',
+        expiresAt: { $not: { $lte: new Date() } },
+        ...(await activeEmployerFilter()),
+      };
+      if (req.query.titlePrefix) {
+        Object.assign(filters, titlePrefixFilter(req.query.titlePrefix));
+      }
+      if (req.query.radiusKm) {
+        Object.assign(
+          filters,
+          geoRadiusFilter({
+            lat: Number(req.query.lat),
+            lng: Number(req.query.lng),
+            radiusKm: Number(req.query.radiusKm),
+          }),
+        );
+      }
+
+      const { field: sortField, direction } = SORT_OPTIONS[sort];
+      const sortRoot = sortField.split('.')[0]; // e.g. salaryRange for salaryRange.min
+      const pipeline = [{ $match: filters }];
+
+      if (sort === 'relevance') {
+        pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+      }
+
+      // Continue after the last job of the previous page. Ties on the sort
+      // field are broken by _id, so pages stay stable as jobs are added.
+      if (req.query.cursor) {
+        const { value, id } = decodeCursor(req.query.cursor);
+        const op = direction === 1 ? '$gt' : '$lt';
+        pipeline.push({
+          $match: {
+            $or: [
+              { [sortField]: { [op]: value } },
+              { [sortField]: value, _id: { [op]: id } },
+            ],
+          },
+        });
+      }
+
+      pipeline.push({ $sort: { [sortField]: direction, _id: direction } });
+      if (page) {
+        pipeline.push({ $skip: (page - 1) * limit });
+      }
+      pipeline.push({ $limit: limit + 1 }); // One extra to know if there is a next page
+      pipeline.push({
+        $project: Object.fromEntries(
+          [...new Set([...fields, sortRoot])].map((field) => [field, 1]),
+        ),
+      });
+
+      // Attach the employer summary, as `.populate('employer')` would
+      if (fields.includes('employerId')) {
+        pipeline.push(
+          {
+            $lookup: {
+              from: Employer.collection.name,
+              localField: 'employerId',
+              foreignField: '_id',
+              pipeline: [{ $project: { name: 1, company: 1 } }], // EMPLOYER_SUMMARY_FIELDS
+              as: 'employer',
+            },
+          },
+          {
+            $unwind: { path: '$employer', preserveNullAndEmptyArrays: true },
+          },
+        );
+      }
+
+      const withFacets = req.query.facets === 'true';
+      const [results, total, facets] = await Promise.all([
+        Job.aggregate(pipeline),
+        Job.countDocuments(filters),
+        withFacets
+          ? Job.aggregate([{ $match: filters }, facetStage()])
+          : undefined,
+      ]);
+
+      const hasMore = results.length > limit;
+      const jobs = results.slice(0, limit);
+      const last = jobs[jobs.length - 1];
+      const nextCursor =
+        hasMore && !page
+          ? encodeCursor({
+              sort,
+              value: sortField
+                .split('.')
+                .reduce((value, key) => value?.[key], last),
+              id: last._id,
+            })
+          : null;
+
+      // Drop the sort key when it wasn't among the requested fields
+      if (!fields.includes(sortRoot)) {
+        jobs.forEach((job) => delete job[sortRoot]);
+      }
+
+      const pagination = { total, limit, nextCursor };
+      if (page) {
+        pagination.page = page;
+        pagination.totalPages = Math.ceil(total / limit);
+      }
+
+      res.json(
+        withFacets
+          ? { jobs, pagination, facets: formatFacets(facets[0]) }
+          : { jobs, pagination },
+      );
+    } catch (err) {
+      console.error('Error fetching jobs:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobSuggestion:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: string
+ *         count:
+ *           type: integer
+ *           description: Number of published jobs with this title or location.
+ */
+
+/**
+ * @swagger
+ * /api/jobs/suggest:
+ *   get:
+ *     summary: Suggest job titles and locations for a search box.
+ *     description: |
+ *       Returns titles and locations of published jobs that start with the
+ *       query, or have a word starting with each word of it, ignoring case
+ *       and diacritics. Suggestions shared by more jobs rank higher.
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: What the user has typed so far (at most 100 characters).
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Maximum number of suggestions of each kind (max 20).
+ *     responses:
+ *       200:
+ *         description: Ranked suggestions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 titles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobSuggestion'
+ *                 locations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobSuggestion'
+ *             example:
+ *               titles: [{ "value": "Software Engineer", "count": 12 }]
+ *               locations: [{ "value": "San Francisco", "count": 4 }]
+ *       400:
+ *         description: Input validation error.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/suggest',
+  [
+    query('q')
+      .isString()
+      .withMessage('q is required')
+      .bail()
+      .custom((q) => normalize(q).length > 0)
+      .withMessage('q cannot be blank')
+      .isLength({ max: 100 })
+      .withMessage('q must be at most 100 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('limit must be between 1 and 20'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json(await suggest(req.query.q, Number(req.query.limit) || 5));
+    } catch (err) {
+      console.error('Error suggesting jobs:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/jobs/mine:
+ *   get:
+ *     summary: List the signed-in employer's own job postings, in any status.
+ *     description: Includes the postings of every company the employer is a member of.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: query
+ *         name: companyId
+ *         schema:
+ *           type: string
+ *         description: Only return jobs of this company.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, paused, closed, archived]
+ *         description: Only return jobs in this status.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of jobs per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A page of the employer's jobs, each with its application count.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an employer.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/mine',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    query('companyId').optional().isMongoId().withMessage('Invalid company ID'),
+    query('status')
+      .optional()
+      .isIn(Job.STATUSES)
+      .withMessage(`status must be one of: ${Job.STATUSES.join(', ')}`),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      const filters = await jobAccessFilter(req.user.id);
+
+      if (req.query.companyId) {
+        filters.companyId = req.query.companyId;
+      }
+      if (req.query.status) {
+        filters.status = req.query.status;
+      }
+
+      const [jobs, total] = await Promise.all([
+        Job.find(filters)
+          .select(DETAIL_FIELDS.join(' '))
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Job.countDocuments(filters),
+      ]);
+
+      // Count applications for the jobs on this page
+      const counts = await Application.aggregate([
+        { $match: { jobId: { $in: jobs.map((job) => job._id) } } },
+        { $group: { _id: '$jobId', count: { $sum: 1 } } },
+      ]);
+      const countByJob = Object.fromEntries(
+        counts.map(({ _id, count }) => [_id.toString(), count]),
+      );
+      jobs.forEach((job) => {
+        job.applicationCount = countByJob[job._id.toString()] || 0;
+      });
+
+      res.json({
+        jobs,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      console.error('Error fetching employer jobs:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/jobs/import:
+ *   post:
+ *     summary: Create many job postings at once.
+ *     description: |
+ *       Send a JSON array of jobs shaped like the body of `POST /api/jobs`,
+ *       or upload a CSV or JSON file as `file`. CSV files start with a
+ *       header row naming the columns, the same as the export's: nested
+ *       fields are dotted (`salaryRange.min`), `skills` are separated by
+ *       semicolons and `screeningQuestions` hold a JSON array.
+ *
+ *       Each job is validated as it would be on its own and reported by row
+ *       number, counted from 1 without the header. By default every valid
+ *       job is created; with `atomic` nothing is created unless all of them
+ *       are valid, in a single transaction (which needs MongoDB to run as a
+ *       replica set). With `dryRun` the jobs are only validated.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate the jobs without creating them.
+ *       - in: query
+ *         name: atomic
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Create all of the jobs or none of them.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             maxItems: 500
+ *             items:
+ *               $ref: '#/components/schemas/Job'
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A CSV file, or a JSON file holding an array of jobs.
+ *     responses:
+ *       200:
+ *         description: Dry run report; no jobs were created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobImportReport'
+ *       201:
+ *         description: Some or all of the jobs were created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobImportReport'
+ *       400:
+ *         description: The jobs could not be read, or none of them were created; the report is included when there is one.
+ *       401:
+ *         description: Missing or revoked token.
+ *       403:
+ *         description: Invalid token, or the caller is not an employer.
+ *       413:
+ *         description: File too large.
+ *       415:
+ *         description: Unsupported file type.
+ *       501:
+ *         description: Atomic imports are not supported by the database.
+ *       500:
+ *         description: Server error.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         atomic:
+ *           type: boolean
+ *         total:
+ *           type: integer
+ *           description: Number of jobs received.
+ *         created:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [created, valid, failed, skipped]
+ *                 description: "`valid` in dry runs; `skipped` when an atomic import had failed rows."
+ *               jobId:
+ *                 type: string
+ *                 description: Set when the job was created.
+ *               errors:
+ *                 type: array
+ *                 description: Validation errors of a failed row.
+ *                 items:
+ *                   type: object
+ */
+router.post(
+  '/import',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  uploadImportFile,
+  [
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be true or false'),
+    query('atomic')
+      .optional()
+      .isBoolean()
+      .withMessage('atomic must be true or false'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let rows;
+    try {
+      rows = readImportRows(req);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const atomic = req.query.atomic === 'true';
+
+    try {
+      const employerId = req.user.id;
+      const companyAccess = new Map();
+      const results = [];
+      for (const [index, body] of rows.entries()) {
+        results.push({
+          row: index + 1,
+          ...(await validateImportRow(body, employerId, companyAccess)),
+        });
+      }
+
+      const valid = results.filter((result) => result.job);
+      const anyFailed = valid.length < results.length;
+      const created = [];
+
+      if (!dryRun && atomic && !anyFailed) {
+        try {
+          await mongoose.connection.transaction(async (session) => {
+            for (const { job } of valid) {
+              await job.save({ session });
+            }
+          });
+        } catch (err) {
+          if (err.code === TRANSACTIONS_UNSUPPORTED) {
+            return res.status(501).json({
+              error:
+                'Atomic imports need MongoDB to run as a replica set. Import without atomic instead.',
+            });
+          }
+          throw err;
+        }
+        created.push(...valid);
+      } else if (!dryRun && !atomic) {
+        for (const result of valid) {
+          try {
+            await result.job.save();
+            created.push(result);
+          } catch (err) {
+            console.error(`Error importing job in row ${result.row}:`, err);
+            result.errors = [{ type: 'row', msg: 'Could not save the job' }];
+          }
+        }
+      }
+
+      if (created.length) {
+        invalidateSuggestions();
+        created.forEach(({ job }) => {
+          announceNewJob(req.io, job);
+          auditJob(req, 'job.created', job, diffSnapshots({}, snapshot(job)), {
+            source: 'import',
+          });
+        });
+      }
+
+      const rowStatus = (result) => {
+        if (result.errors) return 'failed';
+        if (dryRun) return 'valid';
+        return anyFailed && atomic ? 'skipped' : 'created';
+      };
+      const report = {
+        dryRun,
+        atomic,
+        total: results.length,
+        created: created.length,
+        failed: results.filter((result) => result.errors).length,
+        rows: results.map((result) => ({
+          row: result.row,
+          status: rowStatus(result),
+          ...(rowStatus(result) === 'created' && { jobId: result.job._id }),
+          ...(result.errors && { errors: result.errors }),
+        })),
+      };
+
+      if (dryRun) {
+        return res.json(report);
+      }
+      if (!created.length) {
+        return res.status(400).json({
+          error: atomic
+            ? 'No jobs were imported because some rows are invalid.'
+            : 'No jobs were imported.',
+          ...report,
+        });
+      }
+      res.status(201).json(report);
+    } catch (err) {
+      console.error('Error importing jobs:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
 /**
  * @swagger
- * /api/jobs:
+ * /api/jobs/export:
  *   get:
- *     summary: Search for jobs by title, location, and salary range.
+ *     summary: Download the signed-in employer's jobs, or their applications.
+ *     description: |
+ *       Covers the jobs of every company the employer is a member of, newest
+ *       first, streamed as CSV (with a header row) or as newline-delimited
+ *       JSON. Exported job CSV files can be imported again. In CSV, text
+ *       starting with `=`, `+`, `-` or `@` is prefixed with an apostrophe so
+ *       spreadsheets don't run it as a formula; imports remove it again.
+ *     security:
+ *       - bearerAuth: []
  *     tags:
  *       - Jobs
  *     parameters:
  *       - in: query
- *         name: title
+ *         name: format
  *         schema:
  *           type: string
- *         description: Job title to search for.
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *         description: File format.
  *       - in: query
- *         name: location
+ *         name: type
  *         schema:
  *           type: string
- *         description: Job location to search for.
+ *           enum: [jobs, applications]
+ *           default: jobs
+ *         description: Export the jobs themselves, or the applications to them.
  *       - in: query
- *         name: minSalary
+ *         name: companyId
  *         schema:
- *           type: number
- *         description: Minimum salary.
+ *           type: string
+ *         description: Only export jobs of this company.
  *       - in: query
- *         name: maxSalary
+ *         name: status
  *         schema:
- *           type: number
- *         description: Maximum salary.
+ *           type: string
+ *           enum: [draft, scheduled, published, paused, closed, archived]
+ *         description: Only export jobs in this status.
  *     responses:
  *       200:
- *         description: A list of matching job postings.
+ *         description: The export, as an attachment.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
  *       400:
  *         description: Input validation error.
+ *       401:
+ *         description: Missing or revoked token.
+ *       403:
+ *         description: Invalid token, or the caller is not an employer.
  *       500:
  *         description: Server error.
  */
 router.get(
-  '/',
+  '/export',
+  authenticateJWT,
+  authorizeRoles('employer'),
   [
-    query('minSalary')
+    query('format')
       .optional()
-      .isNumeric()
-      .withMessage('minSalary must be a number'),
-    query('maxSalary')
+      .isIn(Object.keys(EXPORT_FORMATS))
+      .withMessage(
+        `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      ),
+    query('type')
       .optional()
-      .isNumeric()
-      .withMessage('maxSalary must be a number'),
+      .isIn(EXPORT_TYPES)
+      .withMessage(`type must be one of: ${EXPORT_TYPES.join(', ')}`),
+    query('companyId').optional().isMongoId().withMessage('Invalid company ID'),
+    query('status')
+      .optional()
+      .isIn(Job.STATUSES)
+      .withMessage(`status must be one of: ${Job.STATUSES.join(', ')}`),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -57,40 +1475,196 @@ router.get(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    try {
-      const { title, location, minSalary, maxSalary } = req.query;
-      const filters = {};
+    const format = req.query.format || 'csv';
+    const type = req.query.type || 'jobs';
 
-      // Text Search (if title or location provided)
-      if (title || location) {
-        filters.$text = { $search: `${title || ''} ${location || ''}`.trim() };
+    let cursor;
+    let columns;
+    let csvValues;
+    try {
+      const filters = await jobAccessFilter(req.user.id);
+      if (req.query.companyId) {
+        filters.companyId = req.query.companyId;
       }
-
-      // Salary Filtering
-      if (minSalary) {
-        filters['salaryRange.min'] = { $gte: Number(minSalary) };
+      if (req.query.status) {
+        filters.status = req.query.status;
       }
-      if (maxSalary) {
-        filters['salaryRange.max'] = { $lte: Number(maxSalary) };
+
+      if (type === 'jobs') {
+        columns = JOB_EXPORT_COLUMNS;
+        csvValues = jobCsvValues;
+        cursor = Job.find(filters)
+          .select(DETAIL_FIELDS.join(' '))
+          .sort({ createdAt: -1 })
+          .lean()
+          .cursor();
+      } else {
+        const jobs = await Job.find(filters)
+          .select('title')
+          .sort({ createdAt: -1 })
+          .lean();
+        const titles = new Map(
+          jobs.map((job) => [job._id.toString(), job.title]),
+        );
+
+        columns = APPLICATION_COLUMNS;
+        csvValues = applicationCsvValues;
+        cursor = Application.find({
+          jobId: { $in: jobs.map((job) => job._id) },
+        })
+          .select(APPLICATION_EXPORT_FIELDS)
+          .sort({ applicationDate: -1 })
+          .lean()
+          .cursor({
+            transform: (application) => ({
+              ...application,
+              jobTitle: titles.get(application.jobId.toString()),
+            }),
+          });
       }
+    } catch (err) {
+      console.error('Error exporting jobs:', err);
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
 
-      const jobs = await Job.find(filters)
-        .select('title description location salaryRange employerId createdAt')
-        .lean(); // Converts to plain JavaScript object for faster execution
+    res.type(EXPORT_FORMATS[format]);
+    res.attachment(`${type}.${format}`);
+    if (format === 'csv') {
+      res.write(formatCsvRow(columns));
+    }
 
-      res.json(jobs);
+    try {
+      await streamLines(res, cursor, (doc) =>
+        format === 'csv'
+          ? formatCsvRow(csvValues(doc))
+          : `${JSON.stringify(doc)}\n`,
+      );
     } catch (err) {
-      console.error('Error fetching jobs:', err);
-      res.status(500).json({ error: 'Internal Server Error' });
+      // Headers are sent, so the client can only tell from the cut connection
+      console.error('Error exporting jobs:', err);
+      res.destroy(err);
     }
   },
 );
 
+/**
+ * @swagger
+ * /api/jobs/feed.xml:
+ *   get:
+ *     summary: XML feed of published jobs for job boards and aggregators.
+ *     description: |
+ *       Every published, unexpired job in the XML format Indeed and similar
+ *       aggregators read, newest first. Supports conditional requests: send
+ *       back the `ETag` as `If-None-Match`, or the `Last-Modified` date as
+ *       `If-Modified-Since`, to get `304` while no job has changed.
+ *     tags:
+ *       - Jobs
+ *     responses:
+ *       200:
+ *         description: The job feed.
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *           Last-Modified:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: The feed hasn't changed since the conditional request's version.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/feed.xml', async (req, res) => {
+  // The jobs the public listing shows
+  const filters = {
+    status: 'published',
+    expiresAt: { $not: { $lte: new Date() } },
+  };
+
+  let lastModified;
+  let cursor;
+  let companies;
+  try {
+    Object.assign(filters, await activeEmployerFilter());
+
+    // The feed changes when a listed job is updated, or jobs come and go
+    const [stats = { count: 0, lastModified: new Date(0) }] =
+      await Job.aggregate([
+        { $match: filters },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            lastModified: { $max: '$updatedAt' },
+          },
+        },
+      ]);
+    lastModified = stats.lastModified;
+    res.set({
+      ETag: `W/"${stats.count}-${lastModified.getTime()}"`,
+      'Last-Modified': lastModified.toUTCString(),
+      'Cache-Control': 'public, no-cache',
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    companies = new Map(
+      (
+        await Company.find({
+          _id: { $in: await Job.distinct('companyId', filters) },
+        })
+          .select(COMPANY_SUMMARY_FIELDS)
+          .lean()
+      ).map((company) => [company._id.toString(), company]),
+    );
+    cursor = Job.find(filters)
+      .select(DETAIL_FIELDS.join(' '))
+      .populate('employer', EMPLOYER_SUMMARY_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+  } catch (err) {
+    console.error('Error building job feed:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+
+  res.type('application/xml');
+  res.write(feedHeader(lastModified));
+  try {
+    await streamLines(
+      res,
+      cursor,
+      (job) => feedJob(job, companies.get(job.companyId?.toString())),
+      FEED_FOOTER,
+    );
+  } catch (err) {
+    // Headers are sent, so the client can only tell from the cut connection
+    console.error('Error building job feed:', err);
+    res.destroy(err);
+  }
+});
+
 /**
  * @swagger
  * /api/jobs/{id}:
  *   get:
  *     summary: Get job details by job ID.
+ *     description: |
+ *       Jobs that are not published are only visible to their employer.
+ *       Views by anyone outside the job's team count towards its analytics,
+ *       once per visitor per day.
+ *
+ *       Ask for `format=jsonld`, or send `Accept: application/ld+json`, to
+ *       get the job as schema.org `JobPosting` structured data, ready to
+ *       embed in the job's page for Google for Jobs.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     tags:
  *       - Jobs
  *     parameters:
@@ -100,9 +1674,23 @@ router.get(
  *           type: string
  *         required: true
  *         description: The unique ID of the job posting.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, jsonld]
+ *         description: Response format; overrides the `Accept` header.
  *     responses:
  *       200:
  *         description: Job details retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/ld+json:
+ *             schema:
+ *               type: object
+ *               description: A schema.org JobPosting.
  *       400:
  *         description: Invalid job ID.
  *       404:
@@ -112,7 +1700,14 @@ router.get(
  */
 router.get(
   '/:id',
-  [param('id').isMongoId().withMessage('Invalid job ID format')],
+  optionalAuthenticateJWT,
+  [
+    param('id').isMongoId().withMessage('Invalid job ID format'),
+    query('format')
+      .optional()
+      .isIn(['json', 'jsonld'])
+      .withMessage('format must be one of: json, jsonld'),
+  ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -121,13 +1716,45 @@ router.get(
 
     try {
       const job = await Job.findById(req.params.id)
-        .select('title description location salaryRange employerId createdAt')
+        .select(DETAIL_FIELDS.join(' '))
+        .populate('employer', EMPLOYER_SUMMARY_FIELDS)
         .lean();
 
-      if (!job) {
+      // Candidates only see published jobs of employers in good standing
+      const isTeamMember = job && (await canViewJob(job, req.user));
+      if (
+        !job ||
+        (!isTeamMember &&
+          (job.status !== 'published' ||
+            (await isEmployerSuspended(job.employerId))))
+      ) {
         return res.status(404).json({ error: 'Job not found' });
       }
 
+      // Candidates see the questions, not how their answers are judged
+      if (!isTeamMember) {
+        recordJobView(job, req);
+        job.screeningQuestions = job.screeningQuestions?.map(toPublicQuestion);
+        delete job.knockoutAction;
+      }
+
+      res.vary('Accept');
+      const format =
+        req.query.format ||
+        (req.accepts(['application/json', JSON_LD_TYPE]) === JSON_LD_TYPE
+          ? 'jsonld'
+          : 'json');
+      if (format === 'jsonld') {
+        const company =
+          job.companyId &&
+          (await Company.findById(job.companyId)
+            .select(COMPANY_SUMMARY_FIELDS)
+            .lean());
+        return res
+          .type(JSON_LD_TYPE)
+          .send(JSON.stringify(toJobPosting(job, company)));
+      }
+
       res.json(job);
     } catch (err) {
       console.error('Error fetching job by ID:', err);
@@ -147,7 +1774,6 @@ router.get(
  *         - description
  *         - location
  *         - salaryRange
- *         - employerId
  *       properties:
  *         title:
  *           type: string
@@ -158,6 +1784,31 @@ router.get(
  *         location:
  *           type: string
  *           description: Job location.
+ *         coordinates:
+ *           type: object
+ *           writeOnly: true
+ *           nullable: true
+ *           description: |
+ *             Where the job is, for radius search. Returned as `geoLocation`;
+ *             set to null to remove.
+ *           properties:
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
+ *         geoLocation:
+ *           type: object
+ *           readOnly: true
+ *           description: The job's coordinates as a GeoJSON point.
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Point]
+ *             coordinates:
+ *               type: array
+ *               description: "[longitude, latitude]"
+ *               items:
+ *                 type: number
  *         salaryRange:
  *           type: object
  *           properties:
@@ -165,15 +1816,153 @@ router.get(
  *               type: number
  *             max:
  *               type: number
+ *             currency:
+ *               type: string
+ *               description: ISO 4217 currency code.
+ *               default: USD
+ *             period:
+ *               type: string
+ *               enum: [hour, day, week, month, year]
+ *               default: year
+ *         employmentType:
+ *           type: string
+ *           enum: [full-time, part-time, contract, internship]
+ *           default: full-time
+ *         remotePolicy:
+ *           type: string
+ *           enum: [remote, hybrid, onsite]
+ *           default: onsite
+ *         seniority:
+ *           type: string
+ *           enum: [intern, junior, mid, senior, lead, principal]
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Required skills, stored lowercase.
+ *         applicationDeadline:
+ *           type: string
+ *           format: date-time
+ *           description: Applications are refused after this date.
+ *         maxApplications:
+ *           type: integer
+ *           nullable: true
+ *           description: |
+ *             Applications are refused once the job has this many, not
+ *             counting withdrawn ones. Set to null to remove the limit.
+ *         screeningQuestions:
+ *           type: array
+ *           description: |
+ *             Questions candidates answer when applying (at most 50).
+ *             Knockout rules are only shown to the job's team.
+ *           items:
+ *             $ref: '#/components/schemas/ScreeningQuestion'
+ *         knockoutAction:
+ *           type: string
+ *           enum: [flag, reject]
+ *           default: flag
+ *           description: |
+ *             What happens to an application with a knockout answer: it is
+ *             flagged with `knockedOut`, or also rejected right away.
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The job is hidden from search after this date.
+ *         status:
+ *           type: string
+ *           enum: [draft, scheduled, published, paused, closed, archived]
+ *           description: |
+ *             Lifecycle status. Jobs can be created as draft, scheduled
+ *             (with publishAt) or published (the default).
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a scheduled job is published automatically.
+ *         closeAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a published or paused job is closed automatically.
  *         employerId:
  *           type: string
- *           description: ID of the employer posting the job.
+ *           readOnly: true
+ *           description: ID of the employer posting the job, taken from the token.
+ *         companyId:
+ *           type: string
+ *           description: |
+ *             Company the job is posted for. Members of the company manage
+ *             the job according to their role; set on creation only.
+ *         employer:
+ *           type: object
+ *           readOnly: true
+ *           description: Summary of the employer posting the job.
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             company:
+ *               type: string
  *       example:
  *         title: "Software Engineer"
  *         description: "Develop and maintain web applications."
  *         location: "New York"
- *         salaryRange: { "min": 60000, "max": 90000 }
- *         employerId: "607d1b2f4f1c2c0015f3e2b5"
+ *         coordinates: { "lat": 40.7128, "lng": -74.006 }
+ *         salaryRange: { "min": 60000, "max": 90000, "currency": "USD", "period": "year" }
+ *         employmentType: "full-time"
+ *         remotePolicy: "hybrid"
+ *         seniority: "mid"
+ *         skills: ["javascript", "node.js"]
+ *         applicationDeadline: "2025-06-30T00:00:00.000Z"
+ *         expiresAt: "2025-07-31T00:00:00.000Z"
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScreeningQuestion:
+ *       type: object
+ *       required:
+ *         - prompt
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Set by the server. Pass it back on update to keep the question's answers linked.
+ *         prompt:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [text, boolean, single_choice, multiple_choice, number]
+ *         required:
+ *           type: boolean
+ *           default: false
+ *         options:
+ *           type: array
+ *           description: The choices (2 to 20), for choice questions only.
+ *           items:
+ *             type: string
+ *         min:
+ *           type: number
+ *           description: Lowest accepted answer to a number question.
+ *         max:
+ *           type: number
+ *           description: Highest accepted answer to a number question.
+ *         knockoutAnswers:
+ *           type: array
+ *           description: Answers to a yes/no or choice question that disqualify the candidate.
+ *           items: {}
+ *         knockoutBelow:
+ *           type: number
+ *           description: Answers to a number question below this disqualify the candidate.
+ *         knockoutAbove:
+ *           type: number
+ *           description: Answers to a number question above this disqualify the candidate.
+ *       example:
+ *         prompt: "Are you authorized to work in the US?"
+ *         type: "boolean"
+ *         required: true
+ *         knockoutAnswers: [false]
  */
 
 /**
@@ -196,23 +1985,18 @@ router.get(
  *         description: Job posting created successfully.
  *       400:
  *         description: Input validation error.
+ *       401:
+ *         description: Missing or revoked token.
+ *       403:
+ *         description: Invalid token, or the caller is not an employer.
  *       500:
  *         description: Server error.
  */
 router.post(
   '/',
-  // authenticateJWT,
-  [
-    check('title').notEmpty().withMessage('Title is required'),
-    check('description').notEmpty().withMessage('Description is required'),
-    check('location').notEmpty().withMessage('Location is required'),
-    check('salaryRange.min')
-      .isNumeric()
-      .withMessage('Minimum salary must be a number'),
-    check('salaryRange.max')
-      .isNumeric()
-      .withMessage('Maximum salary must be a number'),
-  ],
+  authenticateJWT,
+  authorizeRoles('employer'),
+  createJobValidators(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -220,25 +2004,25 @@ router.post(
     }
 
     try {
-      const { title, description, location, salaryRange } = req.body;
-      const employerId = req.user?.id; // ✅ Optional chaining to avoid crashes if `req.user` is undefined
+      const employerId = req.user.id; // Always the authenticated employer, never the request body
 
-      if (!employerId) {
-        return res
-          .status(403)
-          .json({ error: 'Unauthorized: Employer ID missing.' });
+      if (
+        req.body.companyId &&
+        !(await canPostForCompany(req.body.companyId, employerId))
+      ) {
+        return res.status(403).json({
+          error: 'Forbidden: You cannot post jobs for this company.',
+        });
       }
 
-      const job = new Job({
-        title,
-        description,
-        location,
-        salaryRange,
-        employerId,
-      });
+      const job = buildJob(req.body, employerId);
       await job.save();
+      invalidateSuggestions();
+      announceNewJob(req.io, job);
+      auditJob(req, 'job.created', job, diffSnapshots({}, snapshot(job)));
       res.status(201).json(job);
     } catch (err) {
+      console.error('Error creating job:', err);
       res.status(500).json({ error: 'Server error, could not create job.' });
     }
   },
@@ -279,6 +2063,7 @@ router.post(
 router.put(
   '/:id',
   authenticateJWT,
+  authorizeRoles('employer'),
   [
     param('id').isMongoId().withMessage('Invalid job ID'),
     check('title').optional().notEmpty().withMessage('Title cannot be empty'),
@@ -298,6 +2083,7 @@ router.put(
       .optional()
       .isNumeric()
       .withMessage('Maximum salary must be a number'),
+    ...jobAttributeValidators(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -307,18 +2093,44 @@ router.put(
     try {
       const job = await Job.findById(req.params.id);
       if (!job) return res.status(404).json({ error: 'Job not found' });
-      if (job.employerId.toString() !== req.user.id.toString()) {
+      if (!(await canManageJob(job, req.user))) {
         return res.status(403).json({
           error:
             'Forbidden: You are not authorized to modify this job posting.',
         });
       }
+      const before = snapshot(job);
       const { title, description, location, salaryRange } = req.body;
       job.title = title || job.title;
       job.description = description || job.description;
       job.location = location || job.location;
-      job.salaryRange = salaryRange || job.salaryRange;
+      // Merge so that e.g. updating min/max keeps the currency and period
+      if (salaryRange) {
+        job.salaryRange = { ...job.salaryRange.toObject(), ...salaryRange };
+      }
+      Object.assign(job, pick(req.body, JOB_ATTRIBUTES));
+
+      if (
+        job.applicationDeadline &&
+        job.expiresAt &&
+        job.applicationDeadline > job.expiresAt
+      ) {
+        return res.status(400).json({
+          error: 'Application deadline cannot be after the expiry date',
+        });
+      }
+
       await job.save();
+      invalidateSuggestions();
+
+      notifyJobTeam(req.io, job, 'jobUpdated', {
+        jobId: job._id,
+        title: job.title,
+        updatedAt: job.updatedAt,
+      });
+      emitWebhookEvent('job.updated', job, { job: job.toObject() });
+      auditJob(req, 'job.updated', job, diffSnapshots(before, snapshot(job)));
+
       res.json(job);
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -326,11 +2138,249 @@ router.put(
   },
 );
 
+/**
+ * @swagger
+ * /api/jobs/{id}/status:
+ *   patch:
+ *     summary: Move a job posting to another lifecycle status.
+ *     description: |
+ *       Allowed transitions:
+ *       draft → scheduled, published or archived;
+ *       scheduled → draft, published or archived;
+ *       published → paused, closed or archived;
+ *       paused → published, closed or archived;
+ *       closed → published or archived. archived is terminal.
+ *       Scheduling requires `publishAt`.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the job.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, paused, closed, archived]
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required when scheduling.
+ *             example:
+ *               status: "scheduled"
+ *               publishAt: "2025-06-01T09:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Job status updated successfully.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: The job does not belong to the employer.
+ *       404:
+ *         description: Job not found.
+ *       409:
+ *         description: The transition is not allowed from the current status.
+ *       500:
+ *         description: Server error.
+ */
+router.patch(
+  '/:id/status',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid job ID'),
+    check('status')
+      .isIn(Job.STATUSES)
+      .withMessage(`Status must be one of: ${Job.STATUSES.join(', ')}`),
+    check('publishAt')
+      .if((value, { req }) => req.body.status === 'scheduled')
+      .isISO8601()
+      .withMessage('publishAt is required to schedule a job')
+      .bail()
+      .custom(isFutureDate)
+      .withMessage('publishAt must be in the future'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const job = await Job.findById(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      if (!(await canManageJob(job, req.user))) {
+        return res.status(403).json({
+          error:
+            'Forbidden: You are not authorized to modify this job posting.',
+        });
+      }
+
+      const { status, publishAt } = req.body;
+
+      // Jobs a moderator took down can't be put back up by their employer
+      if (job.moderation && ['scheduled', 'published'].includes(status)) {
+        return res.status(403).json({
+          error: `Forbidden: This job was ${job.moderation.action} by a moderator.`,
+          reason: job.moderation.reason,
+        });
+      }
+
+      if (!Job.canTransition(job.status, status)) {
+        return res.status(409).json({
+          error: `Cannot move job from '${job.status}' to '${status}'`,
+          allowed: Job.STATUS_TRANSITIONS[job.status],
+        });
+      }
+
+      const before = snapshot(job);
+      const previousStatus = job.status;
+      job.transitionTo(status);
+      if (status === 'scheduled') {
+        job.publishAt = publishAt;
+      }
+      await job.save();
+      invalidateSuggestions();
+      auditJob(
+        req,
+        'job.status_changed',
+        job,
+        diffSnapshots(before, snapshot(job)),
+      );
+
+      notifyJobStatusChange(req.io, job, previousStatus);
+      if (status === 'closed') {
+        emitWebhookEvent('job.closed', job, { job: job.toObject() });
+      } else if (status === 'published') {
+        matchJobAlerts(req.io, job);
+      }
+
+      res.json(job);
+    } catch (err) {
+      console.error('Error updating job status:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/report:
+ *   post:
+ *     summary: Report a job posting to the moderators.
+ *     description: Each candidate can report a job once.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the job to report.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, scam, offensive, discriminatory, misleading, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Report received.
+ *       400:
+ *         description: Input validation error.
+ *       401:
+ *         description: Missing or revoked token.
+ *       403:
+ *         description: Invalid token, or the caller is not a candidate.
+ *       404:
+ *         description: Job not found.
+ *       409:
+ *         description: The candidate already reported this job.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/:id/report',
+  authenticateJWT,
+  authorizeRoles('candidate'),
+  [
+    param('id').isMongoId().withMessage('Invalid job ID'),
+    check('reason')
+      .isIn(JobReport.REASONS)
+      .withMessage(`reason must be one of: ${JobReport.REASONS.join(', ')}`),
+    check('details')
+      .optional()
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('details must be at most 2000 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const job = await Job.findById(req.params.id)
+        .select('status employerId')
+        .lean();
+      if (
+        !job ||
+        job.status !== 'published' ||
+        (await isEmployerSuspended(job.employerId))
+      ) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      const report = await JobReport.create({
+        jobId: job._id,
+        reporterId: req.user.id,
+        reason: req.body.reason,
+        details: req.body.details,
+      });
+
+      res.status(201).json(report);
+    } catch (err) {
+      if (err?.code === 11000) {
+        return res
+          .status(409)
+          .json({ error: 'You have already reported this job' });
+      }
+      console.error('Error reporting job:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
 /**
  * @swagger
  * /api/jobs/{id}:
  *   delete:
  *     summary: Delete a job posting.
+ *     description: Jobs that have received applications are archived instead of deleted, so the applications keep their job.
  *     security:
  *       - bearerAuth: []
  *     tags:
@@ -344,7 +2394,7 @@ router.put(
  *         description: ID of the job to delete.
  *     responses:
  *       200:
- *         description: Job deleted successfully.
+ *         description: Job deleted (or archived) successfully.
  *       400:
  *         description: Input validation error.
  *       404:
@@ -355,6 +2405,7 @@ router.put(
 router.delete(
   '/:id',
   authenticateJWT,
+  authorizeRoles('employer'),
   [param('id').isMongoId().withMessage('Invalid job ID')],
   async (req, res) => {
     const errors = validationResult(req);
@@ -369,13 +2420,38 @@ router.delete(
         return res.status(404).json({ error: 'Job not found.' });
       }
 
-      if (job?.employerId?.toString() !== req.user?.id?.toString()) {
+      if (!(await canManageJob(job, req.user))) {
         return res
           .status(403)
           .json({ error: 'Forbidden: You cannot delete this job.' });
       }
 
+      // Keep jobs with applications so they aren't orphaned
+      if (await Application.exists({ jobId: job._id })) {
+        if (job.status !== 'archived') {
+          const before = snapshot(job);
+          const previousStatus = job.status;
+          job.transitionTo('archived');
+          await job.save();
+          invalidateSuggestions();
+          notifyJobStatusChange(req.io, job, previousStatus);
+          auditJob(
+            req,
+            'job.status_changed',
+            job,
+            diffSnapshots(before, snapshot(job)),
+          );
+        }
+        return res.status(200).json({
+          message: 'Job has applications and was archived instead of deleted.',
+          job,
+        });
+      }
+
       await Job.findByIdAndDelete(req.params.id);
+      invalidateSuggestions();
+      notifyJobTeam(req.io, job, 'jobDeleted', { jobId: job._id });
+      auditJob(req, 'job.deleted', job, diffSnapshots(snapshot(job), {}));
       res.status(200).json({ message: 'Job deleted successfully.' });
     } catch (err) {
       res.status(500).json({ error: 'Server error, could not delete job.' });
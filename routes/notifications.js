@@ -0,0 +1,287 @@
+const express = require('express');
+const { check, validationResult, param, query } = require('express-validator');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { authenticateJWT } = require('../middleware/auth');
+
+// Only ever touch the signed-in user's own notifications
+const ownNotifications = (user) => ({
+  recipientId: user.id,
+  recipientRole: user.role,
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Notification ID, also sent as `notificationId` with socket events.
+ *         type:
+ *           type: string
+ *           description: The Socket.IO event, e.g. `newApplication` or `applicationStatusChanged`.
+ *         payload:
+ *           type: object
+ *           description: The event payload.
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List the signed-in user's notifications, newest first.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Notifications
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of notifications per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A page of notifications and the unread count.
+ *       400:
+ *         description: Input validation error.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/',
+  authenticateJWT,
+  [
+    query('unread')
+      .optional()
+      .isBoolean()
+      .withMessage('unread must be true or false'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      const filters = ownNotifications(req.user);
+
+      if (req.query.unread === 'true') {
+        filters.readAt = null;
+      }
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filters)
+          .select('type payload readAt createdAt')
+          .sort({ _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Notification.countDocuments(filters),
+        Notification.countDocuments({
+          ...ownNotifications(req.user),
+          readAt: null,
+        }),
+      ]);
+
+      res.json({
+        notifications,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Count the signed-in user's unread notifications.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Notifications
+ *     responses:
+ *       200:
+ *         description: The unread count, as `{ count }`.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/unread-count', authenticateJWT, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({
+      ...ownNotifications(req.user),
+      readAt: null,
+    });
+
+    res.json({ count });
+  } catch (err) {
+    console.error('Error counting unread notifications:', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/read:
+ *   patch:
+ *     summary: Mark several notifications as read.
+ *     description: Marks the given notifications, or all of them when `ids` is omitted.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Notifications
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the notifications to mark (max 100).
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked, as `{ updated }`.
+ *       400:
+ *         description: Input validation error.
+ *       500:
+ *         description: Server error.
+ */
+router.patch(
+  '/read',
+  authenticateJWT,
+  [
+    check('ids')
+      .optional()
+      .isArray({ min: 1, max: 100 })
+      .withMessage('ids must be an array of 1 to 100 notification IDs'),
+    check('ids.*').isMongoId().withMessage('Invalid notification ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const filters = { ...ownNotifications(req.user), readAt: null };
+      if (req.body.ids) {
+        filters._id = { $in: req.body.ids };
+      }
+
+      const { modifiedCount } = await Notification.updateMany(filters, {
+        readAt: new Date(),
+      });
+
+      res.json({ updated: modifiedCount });
+    } catch (err) {
+      console.error('Error marking notifications as read:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Notifications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the notification.
+ *     responses:
+ *       200:
+ *         description: The notification, marked as read.
+ *       400:
+ *         description: Invalid notification ID.
+ *       404:
+ *         description: Notification not found.
+ *       500:
+ *         description: Server error.
+ */
+router.patch(
+  '/:id/read',
+  authenticateJWT,
+  [param('id').isMongoId().withMessage('Invalid notification ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const notification = await Notification.findOne({
+        _id: req.params.id,
+        ...ownNotifications(req.user),
+      }).select('type payload readAt createdAt');
+      if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+      }
+
+      res.json(notification);
+    } catch (err) {
+      console.error('Error marking notification as read:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,470 @@
+const express = require('express');
+const crypto = require('crypto');
+const { check, validationResult, param } = require('express-validator');
+const router = express.Router();
+const SavedSearch = require('../models/SavedSearch');
+const Job = require('../models/Job');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { parseSearchCriteria } = require('../services/jobSearch');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Fields returned for a saved search
+const SAVED_SEARCH_FIELDS =
+  'name criteria emailFrequency active lastDigestAt createdAt updatedAt';
+
+/**
+ * Check that a value is a list (array or comma-separated string) of
+ * allowed values.
+ */
+const isListOf = (allowed) => (value) => {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.every((item) => allowed.includes(String(item).trim()));
+};
+
+/**
+ * Validators for the search criteria, nested under `criteria`.
+ */
+const criteriaValidators = () => [
+  check('criteria')
+    .optional()
+    .isObject()
+    .withMessage('criteria must be an object'),
+  check(['criteria.title', 'criteria.location'])
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('title and location must be at most 200 characters'),
+  check(['criteria.minSalary', 'criteria.maxSalary'])
+    .optional()
+    .isNumeric()
+    .withMessage('minSalary and maxSalary must be numbers'),
+  check('criteria.currency')
+    .optional()
+    .isISO4217()
+    .withMessage('currency must be an ISO 4217 code'),
+  check('criteria.salaryPeriod')
+    .optional()
+    .isIn(Job.SALARY_PERIODS)
+    .withMessage(
+      `salaryPeriod must be one of: ${Job.SALARY_PERIODS.join(', ')}`,
+    ),
+  check('criteria.employmentType')
+    .optional()
+    .custom(isListOf(Job.EMPLOYMENT_TYPES))
+    .withMessage(
+      `employmentType must be one or more of: ${Job.EMPLOYMENT_TYPES.join(', ')}`,
+    ),
+  check('criteria.remotePolicy')
+    .optional()
+    .custom(isListOf(Job.REMOTE_POLICIES))
+    .withMessage(
+      `remotePolicy must be one or more of: ${Job.REMOTE_POLICIES.join(', ')}`,
+    ),
+  check('criteria.seniority')
+    .optional()
+    .custom(isListOf(Job.SENIORITY_LEVELS))
+    .withMessage(
+      `seniority must be one or more of: ${Job.SENIORITY_LEVELS.join(', ')}`,
+    ),
+  check('criteria.skills')
+    .optional()
+    .custom((value) => Array.isArray(value) || typeof value === 'string')
+    .withMessage('skills must be an array or a comma-separated list'),
+  check('emailFrequency')
+    .optional()
+    .isIn(SavedSearch.EMAIL_FREQUENCIES)
+    .withMessage(
+      `emailFrequency must be one of: ${SavedSearch.EMAIL_FREQUENCIES.join(', ')}`,
+    ),
+];
+
+/**
+ * Saved search as returned by the API, without its unsubscribe token and
+ * digest queue.
+ */
+const toResponse = (search) => {
+  const { unsubscribeToken, pendingJobIds, ...rest } = search.toObject();
+  return rest;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedSearch:
+ *       type: object
+ *       required:
+ *         - name
+ *         - criteria
+ *       properties:
+ *         name:
+ *           type: string
+ *         criteria:
+ *           type: object
+ *           description: The same filters as `GET /api/jobs`. Lists may be arrays or comma-separated strings.
+ *           properties:
+ *             title:
+ *               type: string
+ *             location:
+ *               type: string
+ *             minSalary:
+ *               type: number
+ *             maxSalary:
+ *               type: number
+ *             currency:
+ *               type: string
+ *             salaryPeriod:
+ *               type: string
+ *               enum: [hour, day, week, month, year]
+ *             employmentType:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             remotePolicy:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             seniority:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             skills:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         emailFrequency:
+ *           type: string
+ *           enum: [daily, weekly, never]
+ *           default: daily
+ *           description: How often matching jobs are emailed. Real-time alerts are always sent.
+ *         active:
+ *           type: boolean
+ *           description: Paused searches send no alerts.
+ *       example:
+ *         name: "Remote Node.js roles"
+ *         criteria:
+ *           title: "Node.js"
+ *           remotePolicy: ["remote"]
+ *           minSalary: 80000
+ *         emailFrequency: "weekly"
+ */
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   post:
+ *     summary: Save a job search and get alerts for new matching jobs.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Saved Searches
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedSearch'
+ *     responses:
+ *       201:
+ *         description: Saved search created.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not a candidate.
+ *       409:
+ *         description: The candidate has reached the maximum number of saved searches.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/',
+  authenticateJWT,
+  authorizeRoles('candidate'),
+  [
+    check('name')
+      .isString()
+      .trim()
+      .notEmpty()
+      .isLength({ max: 100 })
+      .withMessage('Name is required (at most 100 characters)'),
+    ...criteriaValidators(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const criteria = parseSearchCriteria(req.body.criteria || {});
+    if (!Object.keys(criteria).length) {
+      return res
+        .status(400)
+        .json({ error: 'A saved search needs at least one criterion' });
+    }
+
+    try {
+      const count = await SavedSearch.countDocuments({
+        candidateId: req.user.id,
+      });
+      if (count >= MAX_SAVED_SEARCHES) {
+        return res.status(409).json({
+          error: `You can have at most ${MAX_SAVED_SEARCHES} saved searches`,
+        });
+      }
+
+      const search = await SavedSearch.create({
+        candidateId: req.user.id,
+        name: req.body.name,
+        criteria,
+        emailFrequency: req.body.emailFrequency,
+        unsubscribeToken: crypto.randomBytes(24).toString('base64url'),
+      });
+
+      res.status(201).json(toResponse(search));
+    } catch (err) {
+      console.error('Error creating saved search:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: List the signed-in candidate's saved searches.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Saved Searches
+ *     responses:
+ *       200:
+ *         description: The candidate's saved searches.
+ *       403:
+ *         description: Caller is not a candidate.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/',
+  authenticateJWT,
+  authorizeRoles('candidate'),
+  async (req, res) => {
+    try {
+      const searches = await SavedSearch.find({ candidateId: req.user.id })
+        .select(SAVED_SEARCH_FIELDS)
+        .sort({ createdAt: -1 })
+        .lean();
+
+      res.json(searches);
+    } catch (err) {
+      console.error('Error fetching saved searches:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/unsubscribe:
+ *   post:
+ *     summary: Stop emails for a saved search, using the token from a digest email.
+ *     description: Real-time alerts continue; pause or delete the search to stop them too.
+ *     tags:
+ *       - Saved Searches
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Emails stopped for the saved search.
+ *       400:
+ *         description: Input validation error, or invalid token.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/unsubscribe',
+  [check('token').isString().notEmpty().withMessage('Token is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const search = await SavedSearch.findOneAndUpdate(
+        { unsubscribeToken: req.body.token },
+        { emailFrequency: 'never', pendingJobIds: [] },
+        { new: true },
+      )
+        .select('name')
+        .lean();
+      if (!search) {
+        return res.status(400).json({ error: 'Invalid unsubscribe token' });
+      }
+
+      res.json({
+        message: `You will no longer receive emails for "${search.name}"`,
+      });
+    } catch (err) {
+      console.error('Error unsubscribing from saved search:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   patch:
+ *     summary: Rename, change, pause or resume a saved search.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Saved Searches
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the saved search.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedSearch'
+ *     responses:
+ *       200:
+ *         description: Saved search updated.
+ *       400:
+ *         description: Input validation error.
+ *       404:
+ *         description: Saved search not found.
+ *       500:
+ *         description: Server error.
+ */
+router.patch(
+  '/:id',
+  authenticateJWT,
+  authorizeRoles('candidate'),
+  [
+    param('id').isMongoId().withMessage('Invalid saved search ID'),
+    check('name')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .isLength({ max: 100 })
+      .withMessage('Name must be at most 100 characters'),
+    check('active')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('active must be a boolean'),
+    ...criteriaValidators(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const search = await SavedSearch.findOne({
+        _id: req.params.id,
+        candidateId: req.user.id,
+      });
+      if (!search) {
+        return res.status(404).json({ error: 'Saved search not found' });
+      }
+
+      const { name, criteria, emailFrequency, active } = req.body;
+      if (criteria !== undefined) {
+        const parsed = parseSearchCriteria(criteria);
+        if (!Object.keys(parsed).length) {
+          return res
+            .status(400)
+            .json({ error: 'A saved search needs at least one criterion' });
+        }
+        search.criteria = parsed;
+        search.pendingJobIds = []; // Queued matches were for the old criteria
+      }
+      if (name !== undefined) search.name = name;
+      if (emailFrequency !== undefined) search.emailFrequency = emailFrequency;
+      if (active !== undefined) search.active = active;
+      await search.save();
+
+      res.json(toResponse(search));
+    } catch (err) {
+      console.error('Error updating saved search:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   delete:
+ *     summary: Delete a saved search.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Saved Searches
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the saved search.
+ *     responses:
+ *       200:
+ *         description: Saved search deleted.
+ *       400:
+ *         description: Invalid saved search ID.
+ *       404:
+ *         description: Saved search not found.
+ *       500:
+ *         description: Server error.
+ */
+router.delete(
+  '/:id',
+  authenticateJWT,
+  authorizeRoles('candidate'),
+  [param('id').isMongoId().withMessage('Invalid saved search ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { deletedCount } = await SavedSearch.deleteOne({
+        _id: req.params.id,
+        candidateId: req.user.id,
+      });
+      if (!deletedCount) {
+        return res.status(404).json({ error: 'Saved search not found' });
+      }
+
+      res.json({ message: 'Saved search deleted successfully' });
+    } catch (err) {
+      console.error('Error deleting saved search:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+module.exports = router;
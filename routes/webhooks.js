@@ -0,0 +1,601 @@
+const express = require('express');
+const { check, validationResult, param, query } = require('express-validator');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Membership = require('../models/Membership');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { hasCompanyRole } = require('../services/companyAccess');
+const {
+  generateSecret,
+  redeliver,
+  webhookUrlError,
+} = require('../services/webhooks');
+
+// Fields returned for a webhook; the secret is only returned on creation
+const WEBHOOK_FIELDS =
+  'employerId companyId url events description active createdAt updatedAt';
+
+/**
+ * Check whether a user may manage a webhook: company webhooks need the
+ * admin role, others belong to the employer who created them.
+ */
+const canManageWebhook = (webhook, user) =>
+  webhook.companyId
+    ? hasCompanyRole(webhook.companyId, user.id, 'admin')
+    : webhook.employerId.toString() === user.id.toString();
+
+/**
+ * Load a webhook the signed-in employer may manage, or send the error
+ * response and resolve with null.
+ */
+const loadWebhook = async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id).select(WEBHOOK_FIELDS);
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+
+  if (!(await canManageWebhook(webhook, req.user))) {
+    res
+      .status(403)
+      .json({ error: 'Forbidden: You cannot manage this webhook.' });
+    return null;
+  }
+
+  return webhook;
+};
+
+/**
+ * Validators shared by create and update. `optional` makes every field
+ * optional, for updates.
+ */
+const webhookValidators = (optional = false) => {
+  const field = (name) => (optional ? check(name).optional() : check(name));
+  return [
+    field('url')
+      .isURL({ protocols: ['http', 'https'], require_tld: false })
+      .withMessage('url must be a valid http(s) URL')
+      .bail()
+      .custom(async (url) => {
+        const error = await webhookUrlError(url);
+        if (error) throw new Error(error);
+      }),
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('events must be a non-empty array'),
+    check('events.*')
+      .isIn(Webhook.EVENTS)
+      .withMessage(`events must be among: ${Webhook.EVENTS.join(', ')}`),
+    check('description')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('description must be at most 500 characters'),
+  ];
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: Endpoint that receives POST requests with the event payload. Must be reachable on the public internet: loopback, private and link-local addresses are refused.
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [job.created, job.updated, job.closed, application.created, application.status_changed]
+ *         companyId:
+ *           type: string
+ *           description: Receive events for this company's jobs instead of your own. Requires the admin role.
+ *         description:
+ *           type: string
+ *       example:
+ *         url: "https://ats.example.com/hooks/jobs"
+ *         events: ["job.created", "application.created"]
+ *         description: "ATS sync"
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook endpoint.
+ *     description: |
+ *       The response includes the signing `secret`, which is not shown again.
+ *       Each request carries `X-Webhook-Event`, `X-Webhook-Delivery`,
+ *       `X-Webhook-Timestamp` and `X-Webhook-Signature` headers; the signature
+ *       is `sha256=` followed by the hex HMAC-SHA256 of `<timestamp>.<body>`.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Webhooks
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       201:
+ *         description: Webhook registered; includes its secret.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller is not an admin of the company.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    ...webhookValidators(),
+    check('companyId').optional().isMongoId().withMessage('Invalid company ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { url, events, companyId, description } = req.body;
+
+      if (
+        companyId &&
+        !(await hasCompanyRole(companyId, req.user.id, 'admin'))
+      ) {
+        return res.status(403).json({
+          error: 'Forbidden: Only company admins can add company webhooks.',
+        });
+      }
+
+      const webhook = await Webhook.create({
+        employerId: req.user.id,
+        companyId,
+        url,
+        events: [...new Set(events)],
+        description,
+        secret: generateSecret(),
+      });
+
+      res.status(201).json(webhook);
+    } catch (err) {
+      console.error('Error creating webhook:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List the webhooks you can manage.
+ *     description: Your own webhooks, plus those of companies where you are an admin.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Webhooks
+ *     responses:
+ *       200:
+ *         description: The webhooks, without their secrets.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  async (req, res) => {
+    try {
+      const memberships = await Membership.find({ employerId: req.user.id })
+        .select('companyId role')
+        .lean();
+      const companyIds = memberships
+        .filter(({ role }) => Membership.roleAtLeast(role, 'admin'))
+        .map(({ companyId }) => companyId);
+
+      const webhooks = await Webhook.find({
+        $or: [
+          { employerId: req.user.id, companyId: null },
+          { companyId: { $in: companyIds } },
+        ],
+      })
+        .select(WEBHOOK_FIELDS)
+        .sort({ createdAt: -1 })
+        .lean();
+
+      res.json(webhooks);
+    } catch (err) {
+      console.error('Error fetching webhooks:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the webhook.
+ *     responses:
+ *       200:
+ *         description: The webhook, without its secret.
+ *       400:
+ *         description: Invalid webhook ID.
+ *       403:
+ *         description: Caller cannot manage this webhook.
+ *       404:
+ *         description: Webhook not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/:id',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [param('id').isMongoId().withMessage('Invalid webhook ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (webhook) {
+        res.json(webhook);
+      }
+    } catch (err) {
+      console.error('Error fetching webhook:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook's URL, events, description or active flag.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the webhook.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 description: Inactive webhooks receive no new events.
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage this webhook.
+ *       404:
+ *         description: Webhook not found.
+ *       500:
+ *         description: Server error.
+ */
+router.put(
+  '/:id',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    ...webhookValidators(true),
+    check('active')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('active must be a boolean'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      const { url, events, description, active } = req.body;
+      if (url !== undefined) webhook.url = url;
+      if (events !== undefined) webhook.events = [...new Set(events)];
+      if (description !== undefined) webhook.description = description;
+      if (active !== undefined) webhook.active = active;
+      await webhook.save();
+
+      res.json(webhook);
+    } catch (err) {
+      console.error('Error updating webhook:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook. Pending deliveries are abandoned.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the webhook.
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully.
+ *       400:
+ *         description: Invalid webhook ID.
+ *       403:
+ *         description: Caller cannot manage this webhook.
+ *       404:
+ *         description: Webhook not found.
+ *       500:
+ *         description: Server error.
+ */
+router.delete(
+  '/:id',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [param('id').isMongoId().withMessage('Invalid webhook ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      await webhook.deleteOne();
+      await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+      res.json({ message: 'Webhook deleted successfully' });
+    } catch (err) {
+      console.error('Error deleting webhook:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List a webhook's deliveries, newest first.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the webhook.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         description: Only return deliveries in this status.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of deliveries per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A page of deliveries with their attempts and last response.
+ *       400:
+ *         description: Input validation error.
+ *       403:
+ *         description: Caller cannot manage this webhook.
+ *       404:
+ *         description: Webhook not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get(
+  '/:id/deliveries',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    query('status')
+      .optional()
+      .isIn(WebhookDelivery.STATUSES)
+      .withMessage(
+        `status must be one of: ${WebhookDelivery.STATUSES.join(', ')}`,
+      ),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      const filters = { webhookId: webhook._id };
+      if (req.query.status) {
+        filters.status = req.query.status;
+      }
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filters)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        WebhookDelivery.countDocuments(filters),
+      ]);
+
+      res.json({
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      console.error('Error fetching webhook deliveries:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again.
+ *     description: Queues a new delivery with the same payload; the original stays in the log.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the webhook.
+ *       - in: path
+ *         name: deliveryId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the delivery to send again.
+ *     responses:
+ *       202:
+ *         description: Redelivery queued.
+ *       400:
+ *         description: Invalid ID.
+ *       403:
+ *         description: Caller cannot manage this webhook.
+ *       404:
+ *         description: Webhook or delivery not found.
+ *       409:
+ *         description: The webhook is disabled.
+ *       500:
+ *         description: Server error.
+ */
+router.post(
+  '/:id/deliveries/:deliveryId/redeliver',
+  authenticateJWT,
+  authorizeRoles('employer'),
+  [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    param('deliveryId').isMongoId().withMessage('Invalid delivery ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      if (!webhook.active) {
+        return res
+          .status(409)
+          .json({ error: 'Enable the webhook before redelivering' });
+      }
+
+      const delivery = await WebhookDelivery.findOne({
+        _id: req.params.deliveryId,
+        webhookId: webhook._id,
+      }).lean();
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      res.status(202).json(await redeliver(delivery));
+    } catch (err) {
+      console.error('Error redelivering webhook:', err);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  },
+);
+
+module.exports = router;
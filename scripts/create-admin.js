@@ -0,0 +1,50 @@
+/**
+ * Create an admin account, or reset the password of an existing one.
+ * The password is read from the ADMIN_PASSWORD environment variable so it
+ * doesn't end up in the shell history.
+ *
+ * Usage: ADMIN_PASSWORD=... yarn admin:create <email> <name>
+ */
+require('dotenv').config();
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://localhost:27017/job_platform';
+const MIN_PASSWORD_LENGTH = 12;
+
+const run = async () => {
+  const [email, ...nameParts] = process.argv.slice(2);
+  const name = nameParts.join(' ');
+  const password = process.env.ADMIN_PASSWORD || '';
+
+  if (!email || !name) {
+    throw new Error(
+      'Usage: ADMIN_PASSWORD=... yarn admin:create <email> <name>',
+    );
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `ADMIN_PASSWORD must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    );
+  }
+
+  await mongoose.connect(MONGO_URI);
+
+  const existing = await Admin.exists({ email });
+  await Admin.updateOne(
+    { email },
+    { name, password: await bcrypt.hash(password, 10) },
+    { upsert: true },
+  );
+
+  console.log(`✅ ${existing ? 'Updated' : 'Created'} admin ${email}`);
+};
+
+run()
+  .catch((err) => {
+    console.error('❌ Could not create admin:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,99 @@
+/**
+ * Migration: fill in `Application.candidateEmailNormalized` and build the
+ * unique index that allows one application per email and job.
+ * Existing duplicates are reported and left alone; the index is only built
+ * once none are left.
+ *
+ * Usage: yarn migrate:application-emails [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://localhost:27017/job_platform';
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  // Build the unique index below, once duplicates are known
+  mongoose.set('autoIndex', false);
+  await mongoose.connect(MONGO_URI);
+
+  const cursor = Application.collection.find(
+    { candidateEmailNormalized: { $exists: false } },
+    { projection: { candidateEmail: 1 } },
+  );
+
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length && !DRY_RUN) {
+      await Application.collection.bulkWrite(batch, { ordered: false });
+    }
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const application of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: application._id },
+        update: {
+          $set: {
+            candidateEmailNormalized: Application.normalizeEmail(
+              application.candidateEmail,
+            ),
+          },
+        },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(
+    `${DRY_RUN ? '🔎 Dry run: would normalize' : '✅ Normalized'} ${updated} application email(s)`,
+  );
+
+  // Group on the same normalization, so a dry run finds the same duplicates
+  const duplicates = await Application.aggregate([
+    {
+      $group: {
+        _id: {
+          jobId: '$jobId',
+          email: { $toLower: { $trim: { input: '$candidateEmail' } } },
+        },
+        applicationIds: { $push: '$_id' },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+
+  duplicates.forEach(({ _id, applicationIds }) =>
+    console.warn(
+      `⚠️  Job ${_id.jobId} has ${applicationIds.length} applications from ${_id.email}: ${applicationIds.join(', ')}`,
+    ),
+  );
+
+  if (duplicates.length) {
+    console.warn(
+      `⚠️  Resolve the ${duplicates.length} duplicate(s) above, then run this again to build the unique index`,
+    );
+    process.exitCode = 1;
+  } else if (!DRY_RUN) {
+    await Application.createIndexes();
+    console.log('✅ Built the unique application index');
+  }
+};
+
+run()
+  .catch((err) => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,76 @@
+/**
+ * Migration: convert `Job.employerId` from a string to an ObjectId
+ * reference to `Employer`. Jobs whose employerId is not a valid ObjectId,
+ * or points to a missing employer, are reported and left unchanged.
+ *
+ * Usage: yarn migrate:employer-ids [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Employer = require('../models/Employer');
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://localhost:27017/job_platform';
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await mongoose.connect(MONGO_URI);
+
+  // Use the raw collection: the schema would cast the strings on read
+  const cursor = Job.collection.find(
+    { employerId: { $type: 'string' } },
+    { projection: { employerId: 1 } },
+  );
+
+  let converted = 0;
+  const skipped = [];
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length && !DRY_RUN) {
+      await Job.collection.bulkWrite(batch, { ordered: false });
+    }
+    converted += batch.length;
+    batch = [];
+  };
+
+  for await (const job of cursor) {
+    if (!mongoose.isObjectIdOrHexString(job.employerId)) {
+      skipped.push({ jobId: job._id, reason: 'invalid employerId' });
+      continue;
+    }
+
+    const employerId = new mongoose.Types.ObjectId(job.employerId);
+    if (!(await Employer.exists({ _id: employerId }))) {
+      skipped.push({ jobId: job._id, reason: 'employer not found' });
+      continue;
+    }
+
+    batch.push({
+      updateOne: {
+        filter: { _id: job._id, employerId: job.employerId },
+        update: { $set: { employerId } },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(
+    `${DRY_RUN ? '🔎 Dry run: would convert' : '✅ Converted'} ${converted} job(s)`,
+  );
+  skipped.forEach(({ jobId, reason }) =>
+    console.warn(`⚠️  Skipped job ${jobId}: ${reason}`),
+  );
+};
+
+run()
+  .catch((err) => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
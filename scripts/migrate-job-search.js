@@ -0,0 +1,72 @@
+/**
+ * Migration: prepare existing jobs for the keyword, prefix and radius search.
+ * Drops the old title/location text index (a collection can only have one
+ * text index), fills in `Job.titleTokens`, and builds the new indexes.
+ *
+ * Usage: yarn migrate:job-search [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://localhost:27017/job_platform';
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+const OLD_TEXT_INDEX = 'title_text_location_text';
+
+const run = async () => {
+  // Build the indexes below, once the old text index is gone
+  mongoose.set('autoIndex', false);
+  await mongoose.connect(MONGO_URI);
+
+  const indexes = await Job.collection.indexes().catch(() => []); // None before the collection exists
+  const hasOldIndex = indexes.some(({ name }) => name === OLD_TEXT_INDEX);
+  if (hasOldIndex && !DRY_RUN) {
+    await Job.collection.dropIndex(OLD_TEXT_INDEX);
+  }
+
+  const cursor = Job.collection.find(
+    { titleTokens: { $exists: false } },
+    { projection: { title: 1 } },
+  );
+
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length && !DRY_RUN) {
+      await Job.collection.bulkWrite(batch, { ordered: false });
+    }
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const job of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: job._id },
+        update: { $set: { titleTokens: Job.tokenize(job.title) } },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  if (!DRY_RUN) {
+    await Job.createIndexes();
+  }
+
+  console.log(
+    `${DRY_RUN ? '🔎 Dry run: would' : '✅'} ${hasOldIndex ? 'drop' : 'keep'} the old text index and ${DRY_RUN ? 'tokenize' : 'tokenized'} ${updated} job title(s)`,
+  );
+};
+
+run()
+  .catch((err) => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,30 @@
+/**
+ * Migration: give jobs created before the posting lifecycle a status.
+ * Existing jobs were visible as soon as they were saved, so they become
+ * `published`, with their creation date as the publish date.
+ *
+ * Usage: yarn migrate:job-status
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+const MONGO_URI =
+  process.env.MONGO_URI || 'mongodb://localhost:27017/job_platform';
+
+const run = async () => {
+  await mongoose.connect(MONGO_URI);
+
+  const result = await Job.updateMany({ status: { $exists: false } }, [
+    { $set: { status: 'published', publishedAt: '$createdAt' } },
+  ]);
+
+  console.log(`✅ Published ${result.modifiedCount} existing job(s)`);
+};
+
+run()
+  .catch((err) => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
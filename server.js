@@ -2,7 +2,6 @@ require('dotenv').config(); // Load environment variables
 const express = require('express');
 const mongoose = require('mongoose');
 const bodyParser = require('body-parser');
-const socketIo = require('socket.io');
 const http = require('http');
 const cors = require('cors');
 
@@ -10,9 +9,29 @@ const cors = require('cors');
 const jobRoutes = require('./routes/jobs');
 const applicationRoutes = require('./routes/applications');
 const authRoutes = require('./routes/auth');
+const companyRoutes = require('./routes/companies');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const savedSearchRoutes = require('./routes/savedSearches');
+const interviewRoutes = require('./routes/interviews');
+const analyticsRoutes = require('./routes/analytics');
+const adminRoutes = require('./routes/admin');
+const auditLogRoutes = require('./routes/auditLogs');
 const { swaggerUi, swaggerDocs } = require('./swagger');
+const { assignRequestId } = require('./middleware/requestId');
+const { startJobScheduler } = require('./services/jobScheduler');
+const { startWebhookWorker } = require('./services/webhooks');
+const { startJobAlertDigests } = require('./services/jobAlerts');
+const { createRealtimeServer } = require('./services/realtime');
+const { replayMissedNotifications } = require('./services/notifications');
 
 const app = express();
+// Read the client IP from X-Forwarded-For when behind this many proxies
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY));
+}
+// ✅ Identify each request, for logs and the audit trail
+app.use(assignRequestId);
 app.use(bodyParser.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -24,46 +43,19 @@ app.use(cors(corsOptions));
 
 // Create HTTP server and attach Socket.IO
 const server = http.createServer(app);
-const io = socketIo(server, {
+const io = createRealtimeServer(server, {
   cors: {
     origin: '*', // Allows all origins; adjust as needed
     methods: ['GET', 'POST'],
   },
 });
 
-// ✅ In-memory storage for connected employer sockets
-const employerSockets = {};
-
-// ✅ Handle new socket connections
-io.on('connection', (socket) => {
-  console.log('New client connected, socket id:', socket.id);
-
-  // ✅ Register employer with socket
-  socket.on('register', (data) => {
-    if (data?.employerId) {
-      employerSockets[data.employerId] = socket.id;
-      console.log(`Socket registered for employer ${data.employerId}`);
-    } else {
-      console.warn('Received register event without employerId.');
-    }
-  });
-
-  // ✅ Handle disconnection
-  socket.on('disconnect', () => {
-    for (const [employerId, socketId] of Object.entries(employerSockets)) {
-      if (socketId === socket.id) {
-        console.log(`Employer ${employerId} disconnected`);
-        delete employerSockets[employerId];
-        break;
-      }
-    }
-  });
-});
+// ✅ Replay notifications a reconnecting client missed while offline
+io.on('connection', replayMissedNotifications);
 
-// ✅ Middleware: Attach `io` and `employerSockets` to `req`
+// ✅ Middleware: Attach `io` to `req`
 app.use((req, res, next) => {
   req.io = io;
-  req.employerSockets = employerSockets;
   next();
 });
 
@@ -75,7 +67,6 @@ app.get('/', (req, res) => {
   `);
 });
 
-
 // ✅ Mount Swagger UI on `/api-docs`
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
@@ -83,6 +74,14 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 app.use('/api/auth', authRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/applications', applicationRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/interviews', interviewRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 
 // ✅ MongoDB Connection
 const MONGO_URI =
@@ -90,7 +89,18 @@ const MONGO_URI =
 
 mongoose
   .connect(MONGO_URI)
-  .then(() => console.log('✅ MongoDB Connected'))
+  .then(() => {
+    console.log('✅ MongoDB Connected');
+
+    // ✅ Publish and close jobs at their scheduled times
+    startJobScheduler(io);
+
+    // ✅ Deliver queued webhooks and retry failed ones
+    startWebhookWorker();
+
+    // ✅ Email daily and weekly job alert digests
+    startJobAlertDigests();
+  })
   .catch((err) => console.error('❌ MongoDB Connection Error:', err));
 
 // ✅ Start Server
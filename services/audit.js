@@ -0,0 +1,97 @@
+const AuditLog = require('../models/AuditLog');
+require('dotenv').config();
+
+const RETENTION_DAYS = Number(process.env.AUDIT_LOG_TTL_DAYS) || 365;
+
+// Job fields whose changes are recorded
+const JOB_AUDIT_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'geoLocation',
+  'salaryRange',
+  'employmentType',
+  'remotePolicy',
+  'seniority',
+  'skills',
+  'applicationDeadline',
+  'expiresAt',
+  'maxApplications',
+  'screeningQuestions',
+  'knockoutAction',
+  'status',
+  'publishAt',
+  'closeAt',
+  'companyId',
+  'moderation',
+];
+
+/**
+ * Copy the given fields of a document as plain JSON values, missing ones
+ * as null, so snapshots taken before and after a change compare and store
+ * alike.
+ */
+const snapshot = (doc, fields = JOB_AUDIT_FIELDS) => {
+  const source = typeof doc?.toObject === 'function' ? doc.toObject() : doc;
+  return JSON.parse(
+    JSON.stringify(
+      Object.fromEntries(
+        fields.map((field) => [field, source?.[field] ?? null]),
+      ),
+    ),
+  );
+};
+
+/**
+ * The fields that differ between two snapshots, as `{ field: { from, to } }`.
+ * Either snapshot may be empty, for creations and deletions.
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  const changes = {};
+  for (const field of new Set([
+    ...Object.keys(before),
+    ...Object.keys(after),
+  ])) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Append an entry to the audit log for an action taken in a request.
+ * `target` is `{ type, id }`; `actor` is `{ id, role, email }` and defaults
+ * to the signed-in user. Pass the `job` an entry is about, or the job of
+ * the application it is about, so the job's team can read it.
+ * Never rejects: a failed audit entry must not fail the request behind it.
+ */
+const recordAudit = async (
+  req,
+  { action, target, actor = req.user, job, changes, metadata },
+) => {
+  try {
+    await AuditLog.create({
+      action,
+      actorId: actor?.id,
+      actorRole: actor?.role,
+      actorEmail: actor?.email,
+      targetType: target.type,
+      targetId: target.id,
+      employerId: job?.employerId,
+      companyId: job?.companyId,
+      changes: changes && Object.keys(changes).length ? changes : undefined,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      requestId: req.id,
+      expiresAt: new Date(Date.now() + RETENTION_DAYS * 86400000),
+    });
+  } catch (err) {
+    console.error(`Error recording ${action} audit entry:`, err);
+  }
+};
+
+module.exports = { snapshot, diffSnapshots, recordAudit };
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new single-use token, replacing any unused token of the same type.
+ * Returns the raw token to send to the user.
+ */
+const issueToken = async (userId, type, ttlHours) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await AuthToken.deleteMany({ userId, type, usedAt: null });
+  await AuthToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlHours * 3600000),
+  });
+
+  return token;
+};
+
+/**
+ * Mark a token as used and return it, or null if it is unknown, expired or
+ * already used. The update is atomic so a token can only be redeemed once.
+ */
+const consumeToken = (token, type) =>
+  AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true },
+  ).lean();
+
+module.exports = { issueToken, consumeToken, hashToken };
@@ -0,0 +1,91 @@
+/**
+ * iCalendar (RFC 5545) invites for interviews, readable by Google Calendar,
+ * Outlook and Apple Calendar.
+ */
+require('dotenv').config();
+
+const PRODUCT_ID = '-//Job Posting API//Interviews//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'job-posting-api';
+const MAX_LINE_OCTETS = 75;
+
+// 2025-06-30T14:00:00.000Z -> 20250630T140000Z
+const formatDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets, without splitting a UTF-8 character.
+ * Continuation lines start with a space.
+ */
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  for (const char of line) {
+    const limit = lines.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (Buffer.byteLength(current + char) > limit) {
+      lines.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+};
+
+// Parameter values are quoted, so they may not contain quotes
+const person = (property, { name, email }, params = []) =>
+  `${[property, `CN="${String(name || email).replace(/"/g, '')}"`, ...params].join(';')}:mailto:${email}`;
+
+/**
+ * Build an invite for an interview. `method` is `REQUEST` for a new or
+ * changed interview and `CANCEL` when it is called off; calendars match
+ * updates to the original invite by UID and SEQUENCE.
+ */
+const buildInterviewCalendar = (
+  interview,
+  { method = 'REQUEST', organizer } = {},
+) => {
+  const cancelled = method === 'CANCEL';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:interview-${interview._id}@${UID_DOMAIN}`,
+    `SEQUENCE:${interview.sequence || 0}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(interview.scheduledAt)}`,
+    `DTEND:${formatDate(interview.endsAt)}`,
+    `SUMMARY:${escapeText(interview.title)}`,
+    interview.notes && `DESCRIPTION:${escapeText(interview.notes)}`,
+    interview.location && `LOCATION:${escapeText(interview.location)}`,
+    organizer?.email && person('ORGANIZER', organizer),
+    person(
+      'ATTENDEE',
+      { name: interview.candidateName, email: interview.candidateEmail },
+      [
+        'ROLE=REQ-PARTICIPANT',
+        `PARTSTAT=${cancelled ? 'DECLINED' : 'ACCEPTED'}`,
+      ],
+    ),
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.filter(Boolean).map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { buildInterviewCalendar };
@@ -0,0 +1,72 @@
+const Membership = require('../models/Membership');
+
+/**
+ * Get an employer's role in a company, or null if they are not a member.
+ */
+const getCompanyRole = async (companyId, employerId) => {
+  const membership = await Membership.findOne({ companyId, employerId })
+    .select('role')
+    .lean();
+  return membership?.role || null;
+};
+
+/**
+ * Check whether an employer has at least the given role in a company.
+ */
+const hasCompanyRole = async (companyId, employerId, minimumRole) =>
+  Membership.roleAtLeast(
+    await getCompanyRole(companyId, employerId),
+    minimumRole,
+  );
+
+/**
+ * Check whether a user has at least the given role on a job.
+ * Company jobs are governed by membership; jobs without a company only by
+ * the employer who posted them, who counts as their owner.
+ */
+const hasJobRole = async (job, user, minimumRole) => {
+  if (user?.role !== 'employer') {
+    return false;
+  }
+
+  if (job.companyId) {
+    return hasCompanyRole(job.companyId, user.id, minimumRole);
+  }
+
+  return job.employerId?.toString() === user.id.toString();
+};
+
+/**
+ * Recruiters and above can edit a job and move its applications along.
+ */
+const canManageJob = (job, user) => hasJobRole(job, user, 'recruiter');
+
+/**
+ * Any company member can see a job's drafts and applications.
+ */
+const canViewJob = (job, user) => hasJobRole(job, user, 'viewer');
+
+/**
+ * Build a Job filter matching every job an employer has at least the given
+ * role on: their own postings plus those of their companies.
+ */
+const jobAccessFilter = async (employerId, minimumRole = 'viewer') => {
+  const memberships = await Membership.find({ employerId })
+    .select('companyId role')
+    .lean();
+  const companyIds = memberships
+    .filter(({ role }) => Membership.roleAtLeast(role, minimumRole))
+    .map(({ companyId }) => companyId);
+
+  return {
+    $or: [{ employerId, companyId: null }, { companyId: { $in: companyIds } }],
+  };
+};
+
+module.exports = {
+  getCompanyRole,
+  hasCompanyRole,
+  canManageJob,
+  canViewJob,
+  jobAccessFilter,
+};
@@ -0,0 +1,118 @@
+/**
+ * Reading and writing CSV (RFC 4180): comma-separated, fields optionally
+ * enclosed in double quotes, quotes inside quoted fields doubled.
+ */
+
+// Text that spreadsheets would run as a formula, or that looks escaped
+// like it and must be escaped as well to read back unchanged
+const FORMULA_LIKE = /^'*[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of string fields. Accepts CRLF or LF line
+ * endings and a leading byte order mark; skips lines without any value,
+ * as spreadsheets leave at the end.
+ * Throws an Error when a quoted field is never closed.
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let quoteLine = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some((value) => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+  endRow();
+  return rows;
+};
+
+/**
+ * Parse CSV text whose first row names the columns into one object per
+ * following row. Missing trailing fields are left undefined.
+ */
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((column) => column.trim());
+  return {
+    columns,
+    records: rows.map((fields) =>
+      Object.fromEntries(
+        columns.map((column, index) => [column, fields[index]]),
+      ),
+    ),
+  };
+};
+
+/**
+ * Format one CSV field. Text that spreadsheets would run as a formula is
+ * prefixed with an apostrophe.
+ */
+const formatField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_LIKE.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Remove the apostrophe `formatField` puts before formula-like text, so
+ * exported files read back unchanged.
+ */
+const unescapeFormula = (text) =>
+  text.startsWith("'") && FORMULA_LIKE.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+
+/**
+ * Format a row of values as a CSV line, ending with CRLF.
+ */
+const formatCsvRow = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  unescapeFormula,
+  formatCsvRow,
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const Interview = require('../models/Interview');
+const Employer = require('../models/Employer');
+const { hashToken } = require('./authTokens');
+const { buildInterviewCalendar } = require('./calendar');
+const { notifyJobTeam, notifyCandidate } = require('./notifications');
+const { sendMail } = require('./mailer');
+const {
+  interviewInvitationEmail,
+  interviewConfirmationEmail,
+  interviewCancellationEmail,
+} = require('./mailer/templates');
+
+/**
+ * Generate a token for the candidate's interview link.
+ * Returns the raw token to email and the hash to store.
+ */
+const issueResponseToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+/**
+ * Find the interview behind a candidate's link.
+ */
+const findByResponseToken = (token) =>
+  Interview.findOne({ responseTokenHash: hashToken(String(token)) });
+
+/**
+ * When an interview starting at `startsAt` ends.
+ */
+const slotEnd = (startsAt, durationMinutes) =>
+  new Date(new Date(startsAt).getTime() + durationMinutes * 60000);
+
+/**
+ * Employers expected at an interview: its organizer and interviewers.
+ */
+const participantIds = (interview) => {
+  const ids = [interview.organizerId, ...(interview.interviewerIds || [])];
+  return [...new Map(ids.map((id) => [id.toString(), id])).values()];
+};
+
+/**
+ * Find scheduled interviews of any of the given employers, as organizer
+ * or interviewer, that overlap any of the given `{ startsAt, endsAt }`
+ * ranges. Returns `{ interviewId, scheduledAt, endsAt }` for each.
+ */
+const findConflicts = async ({ employerIds, ranges, excludeId }) => {
+  if (!employerIds.length || !ranges.length) {
+    return [];
+  }
+
+  const filters = {
+    status: 'scheduled',
+    $and: [
+      {
+        $or: [
+          { organizerId: { $in: employerIds } },
+          { interviewerIds: { $in: employerIds } },
+        ],
+      },
+      {
+        $or: ranges.map(({ startsAt, endsAt }) => ({
+          scheduledAt: { $lt: endsAt },
+          endsAt: { $gt: startsAt },
+        })),
+      },
+    ],
+  };
+  if (excludeId) {
+    filters._id = { $ne: excludeId };
+  }
+
+  const conflicts = await Interview.find(filters)
+    .select('scheduledAt endsAt')
+    .sort({ scheduledAt: 1 })
+    .lean();
+  return conflicts.map(({ _id, scheduledAt, endsAt }) => ({
+    interviewId: _id,
+    scheduledAt,
+    endsAt,
+  }));
+};
+
+/**
+ * Tell the job's team and the candidate about a change to an interview.
+ */
+const notifyInterviewChange = (io, job, interview, type) => {
+  const payload = {
+    interviewId: interview._id,
+    applicationId: interview.applicationId,
+    jobId: interview.jobId,
+    title: interview.title,
+    status: interview.status,
+    scheduledAt: interview.scheduledAt,
+    endsAt: interview.endsAt,
+  };
+
+  notifyJobTeam(io, job, type, payload);
+  notifyCandidate(io, interview.candidateId, type, payload);
+};
+
+/**
+ * The interview's calendar invite, organized by the employer who set it up.
+ */
+const interviewCalendar = async (interview, method = 'REQUEST') => {
+  const organizer = await Employer.findById(interview.organizerId)
+    .select('name email')
+    .lean();
+  return buildInterviewCalendar(interview, { method, organizer });
+};
+
+const calendarAttachment = (content, method) => ({
+  filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+  content,
+  contentType: `text/calendar; charset=utf-8; method=${method}`,
+});
+
+/**
+ * Email the candidate about an interview, according to its status: the
+ * proposed times, or the confirmed time with a calendar invite. `token`
+ * is the raw token of the candidate's link.
+ * Never rejects: the change is saved whether or not the email goes out.
+ */
+const sendInterviewEmail = async (interview, token, { updated } = {}) => {
+  try {
+    const details = {
+      name: interview.candidateName,
+      title: interview.title,
+      durationMinutes: interview.durationMinutes,
+      location: interview.location,
+      token,
+    };
+
+    if (interview.status === 'proposed') {
+      await sendMail({
+        to: interview.candidateEmail,
+        ...interviewInvitationEmail({
+          ...details,
+          notes: interview.notes,
+          slots: interview.proposedSlots.map(({ startsAt }) => startsAt),
+        }),
+      });
+    } else if (interview.status === 'scheduled') {
+      await sendMail({
+        to: interview.candidateEmail,
+        ...interviewConfirmationEmail({
+          ...details,
+          scheduledAt: interview.scheduledAt,
+          updated,
+        }),
+        attachments: [
+          calendarAttachment(await interviewCalendar(interview), 'REQUEST'),
+        ],
+      });
+    }
+  } catch (err) {
+    console.error('Error sending interview email:', err);
+  }
+};
+
+/**
+ * Email the candidate that an interview was cancelled, with a calendar
+ * cancellation when it had been scheduled.
+ * Never rejects.
+ */
+const sendCancellationEmail = async (interview, wasScheduled) => {
+  try {
+    await sendMail({
+      to: interview.candidateEmail,
+      ...interviewCancellationEmail({
+        name: interview.candidateName,
+        title: interview.title,
+        scheduledAt: wasScheduled ? interview.scheduledAt : undefined,
+        reason: interview.cancellationReason,
+      }),
+      attachments: wasScheduled
+        ? [
+            calendarAttachment(
+              await interviewCalendar(interview, 'CANCEL'),
+              'CANCEL',
+            ),
+          ]
+        : undefined,
+    });
+  } catch (err) {
+    console.error('Error sending interview cancellation email:', err);
+  }
+};
+
+module.exports = {
+  issueResponseToken,
+  findByResponseToken,
+  slotEnd,
+  participantIds,
+  findConflicts,
+  notifyInterviewChange,
+  interviewCalendar,
+  sendInterviewEmail,
+  sendCancellationEmail,
+};
@@ -0,0 +1,225 @@
+const Job = require('../models/Job');
+const SavedSearch = require('../models/SavedSearch');
+const Candidate = require('../models/Candidate');
+const { matchesCriteria } = require('./jobSearch');
+const { notifyCandidate } = require('./notifications');
+const { sendMail } = require('./mailer');
+const { jobAlertDigestEmail } = require('./mailer/templates');
+require('dotenv').config();
+
+const INTERVAL_MS = Number(process.env.JOB_ALERT_DIGEST_INTERVAL_MS) || 3600000;
+const DIGEST_PERIODS_MS = { daily: 86400000, weekly: 7 * 86400000 };
+
+// Job fields included in alerts
+const ALERT_JOB_FIELDS = [
+  '_id',
+  'title',
+  'location',
+  'salaryRange',
+  'employmentType',
+  'remotePolicy',
+  'seniority',
+];
+
+let timer = null;
+let running = false;
+
+/**
+ * Narrow saved searches down to those whose structured criteria can match
+ * a job; text and skills are checked by `matchesCriteria`.
+ */
+const candidateSearchFilter = (job) => {
+  // The criterion is unset, or the job's value satisfies it
+  const unsetOr = (path, value, condition = value) =>
+    value === undefined || value === null
+      ? { [path]: { $exists: false } }
+      : { $or: [{ [path]: { $exists: false } }, { [path]: condition }] };
+  const salary = job.salaryRange || {};
+
+  return {
+    active: true,
+    $and: [
+      unsetOr('criteria.employmentType', job.employmentType),
+      unsetOr('criteria.remotePolicy', job.remotePolicy),
+      unsetOr('criteria.seniority', job.seniority),
+      unsetOr('criteria.currency', salary.currency),
+      unsetOr('criteria.salaryPeriod', salary.period),
+      unsetOr('criteria.minSalary', salary.min, { $lte: salary.min }),
+      unsetOr('criteria.maxSalary', salary.max, { $gte: salary.max }),
+    ],
+  };
+};
+
+/**
+ * Alert candidates whose saved searches match a newly published job: in
+ * real time through their notification inbox, and by queuing the job for
+ * their next email digest. Alerts go out once per job, even if it is
+ * published again later.
+ * Never rejects: failed alerts must not fail the request behind them.
+ */
+const matchJobAlerts = async (io, jobDocument) => {
+  try {
+    const job = jobDocument.toObject ? jobDocument.toObject() : jobDocument;
+    const claimed = await Job.updateOne(
+      { _id: job._id, alertsSentAt: null },
+      { alertsSentAt: new Date() },
+    );
+    if (!claimed.modifiedCount) {
+      return 0;
+    }
+
+    const summary = Object.fromEntries(
+      ALERT_JOB_FIELDS.map((field) => [field, job[field]]),
+    );
+    const digestIds = [];
+    let matched = 0;
+
+    const searches = SavedSearch.find(candidateSearchFilter(job))
+      .select('candidateId name criteria emailFrequency')
+      .lean()
+      .cursor();
+    for await (const search of searches) {
+      if (!matchesCriteria(search.criteria || {}, job)) continue;
+
+      matched++;
+      notifyCandidate(io, search.candidateId, 'jobAlert', {
+        savedSearchId: search._id,
+        savedSearchName: search.name,
+        job: summary,
+      });
+      if (search.emailFrequency !== 'never') {
+        digestIds.push(search._id);
+      }
+    }
+
+    if (digestIds.length) {
+      await SavedSearch.updateMany(
+        { _id: { $in: digestIds } },
+        {
+          $push: {
+            pendingJobIds: {
+              $each: [job._id],
+              $slice: -SavedSearch.MAX_PENDING_JOBS,
+            },
+          },
+        },
+      );
+    }
+    return matched;
+  } catch (err) {
+    console.error('Error matching job alerts:', err);
+    return 0;
+  }
+};
+
+/**
+ * Email each candidate one digest covering all their saved searches whose
+ * daily or weekly digest is due. Jobs that closed or expired in the
+ * meantime are left out.
+ * Returns the number of emails sent.
+ */
+const sendDueDigests = async (now = new Date()) => {
+  const due = await SavedSearch.find({
+    active: true,
+    'pendingJobIds.0': { $exists: true },
+    $or: Object.entries(DIGEST_PERIODS_MS).map(([frequency, period]) => ({
+      emailFrequency: frequency,
+      $or: [
+        { lastDigestAt: null },
+        { lastDigestAt: { $lte: new Date(now.getTime() - period) } },
+      ],
+    })),
+  })
+    .select('+unsubscribeToken candidateId name pendingJobIds')
+    .lean();
+
+  const byCandidate = new Map();
+  for (const search of due) {
+    const key = search.candidateId.toString();
+    byCandidate.set(key, [...(byCandidate.get(key) || []), search]);
+  }
+
+  let sent = 0;
+  for (const [candidateId, searches] of byCandidate) {
+    const candidate = await Candidate.findById(candidateId)
+      .select('name email')
+      .lean();
+    const jobs = await Job.find({
+      _id: { $in: searches.flatMap((search) => search.pendingJobIds) },
+      status: 'published',
+      expiresAt: { $not: { $lte: now } },
+    })
+      .select('title location')
+      .lean();
+    const jobsById = new Map(jobs.map((job) => [job._id.toString(), job]));
+
+    const sections = searches
+      .map((search) => ({
+        name: search.name,
+        unsubscribeToken: search.unsubscribeToken,
+        jobs: search.pendingJobIds
+          .map((id) => jobsById.get(id.toString()))
+          .filter(Boolean),
+      }))
+      .filter((section) => section.jobs.length);
+
+    if (candidate && sections.length) {
+      await sendMail({
+        to: candidate.email,
+        ...jobAlertDigestEmail({ name: candidate.name, searches: sections }),
+      });
+      sent++;
+    }
+
+    // Remove only the jobs read above; matches added meanwhile stay queued
+    for (const search of searches) {
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        {
+          $pullAll: { pendingJobIds: search.pendingJobIds },
+          lastDigestAt: now,
+        },
+      );
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Run `sendDueDigests` on an interval. Runs never overlap.
+ */
+const startJobAlertDigests = () => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const sent = await sendDueDigests();
+      if (sent) {
+        console.log(`📬 Job alerts: sent ${sent} digest emails`);
+      }
+    } catch (err) {
+      console.error('Job alert digest error:', err);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_MS);
+
+  timer.unref(); // Don't keep the process alive just for the digests
+};
+
+const stopJobAlertDigests = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  matchJobAlerts,
+  sendDueDigests,
+  startJobAlertDigests,
+  stopJobAlertDigests,
+};
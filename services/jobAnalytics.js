@@ -0,0 +1,357 @@
+/**
+ * Job analytics: recording job views, and reporting views, applications
+ * and the application pipeline for a set of jobs over a date range.
+ *
+ * Views count each visitor once per job per UTC day. All other numbers
+ * are computed on demand by aggregation pipelines.
+ */
+const Job = require('../models/Job');
+const JobView = require('../models/JobView');
+const Application = require('../models/Application');
+const { hashToken } = require('./authTokens');
+require('dotenv').config();
+
+// How long views are kept, which bounds how far back analytics go
+const VIEW_TTL_DAYS = Number(process.env.JOB_VIEW_TTL_DAYS) || 400;
+
+const DAY_MS = 86400000;
+const INTERVALS = { day: DAY_MS, week: 7 * DAY_MS };
+
+/**
+ * The start of the day or week (starting Monday), in UTC, of a date.
+ */
+const truncateDate = (date, interval = 'day') => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+/**
+ * `$dateTrunc` matching `truncateDate`.
+ */
+const truncateExpression = (field, interval) => ({
+  $dateTrunc: {
+    date: field,
+    unit: interval,
+    ...(interval === 'week' && { startOfWeek: 'monday' }),
+  },
+});
+
+/**
+ * Identify who is viewing a job: the signed-in user, or else the client's
+ * IP address and user agent.
+ */
+const visitorKey = (req) =>
+  hashToken(
+    req.user
+      ? `${req.user.role}:${req.user.id}`
+      : `${req.ip}|${req.get('user-agent') || ''}`,
+  );
+
+/**
+ * Count a view of a job, once per visitor per day.
+ * Never rejects: a lost view must not fail the request.
+ */
+const recordJobView = async (job, req) => {
+  try {
+    const day = truncateDate(new Date());
+    await JobView.updateOne(
+      { jobId: job._id, day, visitorKey: visitorKey(req) },
+      {
+        $setOnInsert: {
+          expiresAt: new Date(day.getTime() + VIEW_TTL_DAYS * DAY_MS),
+        },
+      },
+      { upsert: true },
+    );
+  } catch (err) {
+    // The same visitor's concurrent view was counted instead
+    if (err?.code !== 11000) {
+      console.error('Error recording job view:', err);
+    }
+  }
+};
+
+/**
+ * Applications divided by views, or null without views.
+ */
+const conversionRateExpression = (applications, views) => ({
+  $cond: [
+    { $gt: [views, 0] },
+    { $round: [{ $divide: [applications, views] }, 4] },
+    null,
+  ],
+});
+
+/**
+ * Stages adding to each job its `views` and `applications` within the
+ * range, its `conversionRate`, and `timeToFirstApplicationHours`: the time
+ * from listing the job to its first application ever.
+ */
+const jobStatsStages = ({ from, to }) => [
+  {
+    $lookup: {
+      from: JobView.collection.name,
+      localField: '_id',
+      foreignField: 'jobId',
+      pipeline: [
+        { $match: { day: { $gte: truncateDate(from), $lt: to } } },
+        { $count: 'count' },
+      ],
+      as: 'viewCounts',
+    },
+  },
+  {
+    $lookup: {
+      from: Application.collection.name,
+      localField: '_id',
+      foreignField: 'jobId',
+      pipeline: [
+        {
+          $group: {
+            _id: null,
+            count: {
+              $sum: {
+                $cond: [
+                  {
+                    $and: [
+                      { $gte: ['$applicationDate', from] },
+                      { $lt: ['$applicationDate', to] },
+                    ],
+                  },
+                  1,
+                  0,
+                ],
+              },
+            },
+            firstAt: { $min: '$applicationDate' },
+          },
+        },
+      ],
+      as: 'applicationCounts',
+    },
+  },
+  {
+    $project: {
+      title: 1,
+      status: 1,
+      companyId: 1,
+      createdAt: 1,
+      publishedAt: 1,
+      views: { $ifNull: [{ $first: '$viewCounts.count' }, 0] },
+      applications: { $ifNull: [{ $first: '$applicationCounts.count' }, 0] },
+      firstApplicationAt: { $first: '$applicationCounts.firstAt' },
+    },
+  },
+  {
+    $addFields: {
+      conversionRate: conversionRateExpression('$applications', '$views'),
+      // Counted from publication, unless the job was republished since
+      timeToFirstApplicationHours: {
+        $cond: [
+          '$firstApplicationAt',
+          {
+            $let: {
+              vars: {
+                listedAt: {
+                  $cond: [
+                    {
+                      $lte: [
+                        { $ifNull: ['$publishedAt', '$createdAt'] },
+                        '$firstApplicationAt',
+                      ],
+                    },
+                    { $ifNull: ['$publishedAt', '$createdAt'] },
+                    '$createdAt',
+                  ],
+                },
+              },
+              in: {
+                $round: [
+                  {
+                    $divide: [
+                      { $subtract: ['$firstApplicationAt', '$$listedAt'] },
+                      3600000,
+                    ],
+                  },
+                  1,
+                ],
+              },
+            },
+          },
+          null,
+        ],
+      },
+    },
+  },
+];
+
+/**
+ * A page of per-job statistics, ordered by `sort` (e.g.
+ * `{ views: -1, _id: -1 }`).
+ */
+const jobStats = (jobIds, range, { sort, skip, limit }) =>
+  Job.aggregate([
+    { $match: { _id: { $in: jobIds } } },
+    ...jobStatsStages(range),
+    { $sort: sort },
+    { $skip: skip },
+    { $limit: limit },
+  ]);
+
+/**
+ * Totals over all the jobs: views, applications, conversion rate and the
+ * average time to a first application.
+ */
+const totals = async (jobIds, range) => {
+  const [result] = await Job.aggregate([
+    { $match: { _id: { $in: jobIds } } },
+    ...jobStatsStages(range),
+    {
+      $group: {
+        _id: null,
+        jobs: { $sum: 1 },
+        views: { $sum: '$views' },
+        applications: { $sum: '$applications' },
+        averageTimeToFirstApplicationHours: {
+          $avg: '$timeToFirstApplicationHours',
+        },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        jobs: 1,
+        views: 1,
+        applications: 1,
+        conversionRate: conversionRateExpression('$applications', '$views'),
+        averageTimeToFirstApplicationHours: {
+          $round: ['$averageTimeToFirstApplicationHours', 1],
+        },
+      },
+    },
+  ]);
+
+  return (
+    result || {
+      jobs: 0,
+      views: 0,
+      applications: 0,
+      conversionRate: null,
+      averageTimeToFirstApplicationHours: null,
+    }
+  );
+};
+
+/**
+ * The pipeline funnel of the applications received within the range, in
+ * pipeline order: how many are in each status now (`current`), and how
+ * many were ever in it (`reached`).
+ */
+const funnel = async (jobIds, { from, to }) => {
+  const [result] = await Application.aggregate([
+    {
+      $match: {
+        jobId: { $in: jobIds },
+        applicationDate: { $gte: from, $lt: to },
+      },
+    },
+    {
+      $facet: {
+        current: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        reached: [
+          { $unwind: '$statusHistory' },
+          {
+            $group: {
+              _id: { status: '$statusHistory.status', application: '$_id' },
+            },
+          },
+          { $group: { _id: '$_id.status', count: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+
+  const countsOf = (groups) =>
+    Object.fromEntries(groups.map(({ _id, count }) => [_id, count]));
+  const current = countsOf(result.current);
+  const reached = countsOf(result.reached);
+  return Application.STATUSES.map((status) => ({
+    status,
+    current: current[status] || 0,
+    reached: reached[status] || 0,
+  }));
+};
+
+/**
+ * Views and applications per day or week of the range. Every period is
+ * listed, including those without any.
+ */
+const series = async (jobIds, { from, to, interval }) => {
+  const [views, applications] = await Promise.all([
+    JobView.aggregate([
+      {
+        $match: {
+          jobId: { $in: jobIds },
+          day: { $gte: truncateDate(from), $lt: to },
+        },
+      },
+      {
+        $group: {
+          _id: truncateExpression('$day', interval),
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    Application.aggregate([
+      {
+        $match: {
+          jobId: { $in: jobIds },
+          applicationDate: { $gte: from, $lt: to },
+        },
+      },
+      {
+        $group: {
+          _id: truncateExpression('$applicationDate', interval),
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const countsByPeriod = (groups) =>
+    new Map(groups.map(({ _id, count }) => [_id.getTime(), count]));
+  const viewCounts = countsByPeriod(views);
+  const applicationCounts = countsByPeriod(applications);
+
+  const periods = [];
+  for (
+    let start = truncateDate(from, interval).getTime();
+    start < to.getTime();
+    start += INTERVALS[interval]
+  ) {
+    periods.push({
+      periodStart: new Date(start),
+      views: viewCounts.get(start) || 0,
+      applications: applicationCounts.get(start) || 0,
+    });
+  }
+  return periods;
+};
+
+/**
+ * Everything the dashboard shows for a set of jobs over a date range.
+ */
+const overview = async (jobIds, range) => {
+  const [summary, pipeline, periods] = await Promise.all([
+    totals(jobIds, range),
+    funnel(jobIds, range),
+    series(jobIds, range),
+  ]);
+  return { totals: summary, funnel: pipeline, series: periods };
+};
+
+module.exports = { INTERVALS, recordJobView, jobStats, overview };
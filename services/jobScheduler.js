@@ -0,0 +1,109 @@
+const Job = require('../models/Job');
+const { notifyJobStatusChange } = require('./notifications');
+const { emitWebhookEvent } = require('./webhooks');
+const { matchJobAlerts } = require('./jobAlerts');
+const { invalidateSuggestions } = require('./jobSuggestions');
+const { activeEmployerFilter } = require('./moderation');
+require('dotenv').config();
+
+const INTERVAL_MS = Number(process.env.JOB_SCHEDULER_INTERVAL_MS) || 60000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Move one due job to a new status. The status filter makes sure a job
+ * changed by its employer in the meantime is left alone.
+ */
+const transitionDueJob = async (jobId, fromStatuses, toStatus, io) => {
+  const job = await Job.findOne({ _id: jobId, status: { $in: fromStatuses } });
+  if (!job) {
+    return null;
+  }
+
+  const previousStatus = job.status;
+  job.transitionTo(toStatus);
+  await job.save();
+  invalidateSuggestions();
+
+  notifyJobStatusChange(io, job, previousStatus);
+  if (toStatus === 'closed') {
+    emitWebhookEvent('job.closed', job, { job: job.toObject() });
+  } else if (toStatus === 'published') {
+    await matchJobAlerts(io, job);
+  }
+  return job;
+};
+
+/**
+ * Publish scheduled jobs whose publish time has passed, and close
+ * published or paused jobs whose close time has passed. Jobs of suspended
+ * employers wait to be published until the employer is reinstated.
+ * Employers are notified through `io` when given.
+ * Returns the jobs that changed.
+ */
+const processDueJobs = async (now = new Date(), io = null) => {
+  const published = [];
+  const closed = [];
+
+  const dueForPublish = await Job.find({
+    status: 'scheduled',
+    publishAt: { $lte: now },
+    ...(await activeEmployerFilter()),
+  }).distinct('_id');
+  for (const jobId of dueForPublish) {
+    const job = await transitionDueJob(jobId, ['scheduled'], 'published', io);
+    if (job) published.push(job);
+  }
+
+  const dueForClose = await Job.find({
+    status: { $in: ['published', 'paused'] },
+    closeAt: { $lte: now },
+  }).distinct('_id');
+  for (const jobId of dueForClose) {
+    const job = await transitionDueJob(
+      jobId,
+      ['published', 'paused'],
+      'closed',
+      io,
+    );
+    if (job) closed.push(job);
+  }
+
+  return { published, closed };
+};
+
+/**
+ * Run `processDueJobs` on an interval. Runs never overlap.
+ */
+const startJobScheduler = (io = null) => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { published, closed } = await processDueJobs(new Date(), io);
+      if (published.length || closed.length) {
+        console.log(
+          `⏰ Job scheduler: published ${published.length}, closed ${closed.length}`,
+        );
+      }
+    } catch (err) {
+      console.error('Job scheduler error:', err);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_MS);
+
+  timer.unref(); // Don't keep the process alive just for the scheduler
+};
+
+const stopJobScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { processDueJobs, startJobScheduler, stopJobScheduler };
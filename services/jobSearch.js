@@ -0,0 +1,241 @@
+/**
+ * Job search criteria, shared by `GET /api/jobs` and saved searches.
+ *
+ * Criteria are a plain object with any of:
+ * `title`, `location`, `minSalary`, `maxSalary`, `currency`, `salaryPeriod`
+ * and the lists `employmentType`, `remotePolicy`, `seniority`, `skills`.
+ * `title` is a keyword search over job titles and descriptions; `location`
+ * matches the start of words in the job's location.
+ */
+const Job = require('../models/Job');
+
+// Criteria that hold a list of values
+const LIST_CRITERIA = ['employmentType', 'remotePolicy', 'seniority', 'skills'];
+
+// Lower bounds of the salary facet's bands; the last band is open-ended
+const SALARY_BANDS = [0, 30000, 50000, 75000, 100000, 150000, 200000];
+const FACET_LIMIT = 10;
+const EARTH_RADIUS_KM = 6378.1;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive pattern matching a location at the start of a word,
+ * e.g. "york" or "new york" in "New York, NY".
+ */
+const locationPattern = (location) =>
+  new RegExp(
+    `\\b${String(location).trim().split(/\s+/).map(escapeRegExp).join('\\W+')}`,
+    'i',
+  );
+
+const splitList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Normalize search criteria from a query string or request body: lists may
+ * be arrays or comma-separated strings, salaries numbers or numeric strings.
+ * Empty criteria are dropped.
+ */
+const parseSearchCriteria = (source) => {
+  const criteria = {};
+
+  for (const key of ['title', 'location']) {
+    if (source[key]) criteria[key] = String(source[key]).trim();
+  }
+  for (const key of ['minSalary', 'maxSalary']) {
+    if (source[key] !== undefined && source[key] !== '') {
+      criteria[key] = Number(source[key]);
+    }
+  }
+  if (source.currency) criteria.currency = source.currency.toUpperCase();
+  if (source.salaryPeriod) criteria.salaryPeriod = source.salaryPeriod;
+
+  for (const key of LIST_CRITERIA) {
+    if (source[key]) {
+      const values = splitList(source[key]);
+      if (values.length) criteria[key] = values;
+    }
+  }
+  if (criteria.skills) {
+    criteria.skills = criteria.skills.map((skill) => skill.toLowerCase());
+  }
+
+  return criteria;
+};
+
+/**
+ * Build the Job filter for search criteria. Does not restrict the status;
+ * callers add that.
+ */
+const buildSearchFilters = (criteria) => {
+  const filters = {};
+
+  // Keyword Search (title and description, scored for relevance)
+  if (criteria.title) {
+    filters.$text = { $search: criteria.title };
+  }
+
+  // Location Matching (independent of the keywords)
+  if (criteria.location) {
+    filters.location = { $regex: locationPattern(criteria.location) };
+  }
+
+  // Salary Filtering
+  if (criteria.minSalary !== undefined) {
+    filters['salaryRange.min'] = { $gte: criteria.minSalary };
+  }
+  if (criteria.maxSalary !== undefined) {
+    filters['salaryRange.max'] = { $lte: criteria.maxSalary };
+  }
+  if (criteria.currency) {
+    filters['salaryRange.currency'] = criteria.currency;
+  }
+  if (criteria.salaryPeriod) {
+    filters['salaryRange.period'] = criteria.salaryPeriod;
+  }
+
+  // Attribute Filtering (listed values match any of them)
+  for (const key of ['employmentType', 'remotePolicy', 'seniority']) {
+    if (criteria[key]) {
+      filters[key] = { $in: criteria[key] };
+    }
+  }
+
+  // Skill Filtering (jobs must require every listed skill)
+  if (criteria.skills) {
+    filters.skills = { $all: criteria.skills };
+  }
+
+  return filters;
+};
+
+const words = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .match(/\w+/g) || [];
+
+/**
+ * Check whether one job matches search criteria, without a query. Mirrors
+ * `buildSearchFilters`; the keyword search matches when any search word
+ * appears in the job's title or description.
+ */
+const matchesCriteria = (criteria, job) => {
+  if (criteria.title) {
+    const jobWords = new Set([...words(job.title), ...words(job.description)]);
+    if (!words(criteria.title).some((word) => jobWords.has(word))) {
+      return false;
+    }
+  }
+  if (
+    criteria.location &&
+    !locationPattern(criteria.location).test(job.location || '')
+  ) {
+    return false;
+  }
+
+  const salary = job.salaryRange || {};
+  if (criteria.minSalary !== undefined && !(salary.min >= criteria.minSalary)) {
+    return false;
+  }
+  if (criteria.maxSalary !== undefined && !(salary.max <= criteria.maxSalary)) {
+    return false;
+  }
+  if (criteria.currency && salary.currency !== criteria.currency) return false;
+  if (criteria.salaryPeriod && salary.period !== criteria.salaryPeriod) {
+    return false;
+  }
+
+  for (const key of ['employmentType', 'remotePolicy', 'seniority']) {
+    if (criteria[key] && !criteria[key].includes(job[key])) return false;
+  }
+
+  if (criteria.skills) {
+    const jobSkills = job.skills || [];
+    if (!criteria.skills.every((skill) => jobSkills.includes(skill))) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Filter for jobs whose title has a word starting with each word of the
+ * prefix, for autocomplete: "soft eng" matches "Senior Software Engineer".
+ */
+const titlePrefixFilter = (prefix) => ({
+  titleTokens: {
+    $all: Job.tokenize(prefix).map(
+      (token) => new RegExp(`^${escapeRegExp(token)}`),
+    ),
+  },
+});
+
+/**
+ * Filter for jobs with coordinates within a radius of a point.
+ */
+const geoRadiusFilter = ({ lat, lng, radiusKm }) => ({
+  geoLocation: {
+    $geoWithin: { $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM] },
+  },
+});
+
+/**
+ * Aggregation stage counting the jobs matched by the preceding stages by
+ * location, employment type and salary band. The salary bands group jobs
+ * by their minimum salary, whatever the currency and period; filter on
+ * those to compare like with like.
+ */
+const facetStage = () => ({
+  $facet: {
+    location: [
+      { $group: { _id: '$location', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_LIMIT },
+    ],
+    employmentType: [
+      { $group: { _id: '$employmentType', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ],
+    salary: [
+      {
+        $bucket: {
+          groupBy: '$salaryRange.min',
+          boundaries: SALARY_BANDS,
+          default: SALARY_BANDS[SALARY_BANDS.length - 1], // Open-ended top band
+          output: { count: { $sum: 1 } },
+        },
+      },
+    ],
+  },
+});
+
+/**
+ * Shape the output of `facetStage` for API responses.
+ */
+const formatFacets = ({ location, employmentType, salary }) => ({
+  location: location.map(({ _id, count }) => ({ value: _id, count })),
+  employmentType: employmentType.map(({ _id, count }) => ({
+    value: _id,
+    count,
+  })),
+  salary: salary.map(({ _id, count }) => ({
+    min: _id,
+    max: SALARY_BANDS[SALARY_BANDS.indexOf(_id) + 1] ?? null,
+    count,
+  })),
+});
+
+module.exports = {
+  escapeRegExp,
+  parseSearchCriteria,
+  buildSearchFilters,
+  matchesCriteria,
+  titlePrefixFilter,
+  geoRadiusFilter,
+  facetStage,
+  formatFacets,
+};
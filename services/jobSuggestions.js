@@ -0,0 +1,144 @@
+const Job = require('../models/Job');
+const { activeEmployerFilter } = require('./moderation');
+require('dotenv').config();
+
+// Rebuild at least this often, to pick up changes the cache isn't told
+// about: jobs expiring, and changes made through other server instances
+const CACHE_TTL_MS = Number(process.env.JOB_SUGGEST_CACHE_TTL_MS) || 300000;
+
+let cache = null;
+let building = null;
+let generation = 0; // Bumped on every invalidation
+
+/**
+ * Normalize text for matching: lowercase, without diacritics, with single
+ * spaces. "Zürich " and "zurich" normalize alike.
+ */
+const normalize = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Combining diacritical marks
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Count the matched jobs per normalized value of a field. Each term is
+ * shown in its most common spelling.
+ */
+const countTerms = async (field, filters) => {
+  const groups = await Job.aggregate([
+    { $match: filters },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  ]);
+
+  const terms = new Map();
+  for (const { _id: value, count } of groups) {
+    const key = normalize(value);
+    if (!key) continue;
+
+    const term = terms.get(key) || {
+      key,
+      words: key.split(' '),
+      count: 0,
+      topCount: 0,
+    };
+    if (count > term.topCount) {
+      term.value = value.trim().replace(/\s+/g, ' ');
+      term.topCount = count;
+    }
+    term.count += count;
+    terms.set(key, term);
+  }
+  return [...terms.values()];
+};
+
+const buildIndex = async () => {
+  // The jobs listed by search
+  const filters = {
+    status: 'published',
+    expiresAt: { $not: { $lte: new Date() } },
+    ...(await activeEmployerFilter()),
+  };
+  const [titles, locations] = await Promise.all([
+    countTerms('title', filters),
+    countTerms('location', filters),
+  ]);
+  return { builtAt: Date.now(), titles, locations };
+};
+
+/**
+ * The cached suggestion index, rebuilt when invalidated or stale.
+ * Concurrent callers share one rebuild.
+ */
+const getIndex = async () => {
+  if (cache && Date.now() - cache.builtAt < CACHE_TTL_MS) {
+    return cache;
+  }
+  if (!building) {
+    const startedAt = generation;
+    const promise = buildIndex()
+      .then((index) => {
+        // Jobs changed while building: serve it, but don't keep it
+        if (generation === startedAt) cache = index;
+        return index;
+      })
+      .finally(() => {
+        if (building === promise) building = null;
+      });
+    building = promise;
+  }
+  return building;
+};
+
+/**
+ * Terms matching a normalized query, best first: terms starting with the
+ * query, then terms with a word starting with each query word. Ties go to
+ * the term shared by the most jobs.
+ */
+const rankTerms = (terms, query, limit) => {
+  const queryWords = query.split(' ');
+  const rankOf = (term) => {
+    if (term.key.startsWith(query)) return 0;
+    const matchesAll = queryWords.every((queryWord) =>
+      term.words.some((word) => word.startsWith(queryWord)),
+    );
+    return matchesAll ? 1 : null;
+  };
+
+  return terms
+    .map((term) => ({ term, rank: rankOf(term) }))
+    .filter(({ rank }) => rank !== null)
+    .sort(
+      (a, b) =>
+        a.rank - b.rank ||
+        b.term.count - a.term.count ||
+        a.term.value.localeCompare(b.term.value),
+    )
+    .slice(0, limit)
+    .map(({ term }) => ({ value: term.value, count: term.count }));
+};
+
+/**
+ * Suggest job titles and locations of published jobs for a partial query,
+ * each with the number of jobs sharing it.
+ */
+const suggest = async (query, limit = 5) => {
+  const normalized = normalize(query);
+  const index = await getIndex();
+  return {
+    titles: rankTerms(index.titles, normalized, limit),
+    locations: rankTerms(index.locations, normalized, limit),
+  };
+};
+
+/**
+ * Drop the cached index after jobs are created, changed or deleted.
+ */
+const invalidateSuggestions = () => {
+  generation++;
+  cache = null;
+  building = null;
+};
+
+module.exports = { normalize, suggest, invalidateSuggestions };
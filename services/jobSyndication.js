@@ -0,0 +1,173 @@
+/**
+ * Jobs in the formats search engines and job boards read: schema.org
+ * `JobPosting` structured data (JSON-LD) and an Indeed-style XML feed.
+ */
+require('dotenv').config();
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const FEED_PUBLISHER = process.env.JOB_FEED_PUBLISHER || 'Job Posting API';
+
+// Job employment types, as schema.org and Indeed name them
+const SCHEMA_EMPLOYMENT_TYPES = {
+  'full-time': 'FULL_TIME',
+  'part-time': 'PART_TIME',
+  contract: 'CONTRACTOR',
+  internship: 'INTERN',
+};
+const FEED_JOB_TYPES = {
+  'full-time': 'fulltime',
+  'part-time': 'parttime',
+  contract: 'contract',
+  internship: 'internship',
+};
+const FEED_REMOTE_TYPES = {
+  remote: 'Fully remote',
+  hybrid: 'Hybrid remote',
+};
+
+// The page candidates view and apply to a job on
+const jobUrl = (job) => `${CLIENT_URL}/jobs/${job._id}`;
+
+/**
+ * The organization hiring for a job: its company when it has one,
+ * otherwise the posting employer. Expects `job.employer` to be populated
+ * with `name company`.
+ */
+const hiringOrganization = (job, company) => {
+  if (company) {
+    return {
+      name: company.name,
+      website: company.website,
+      logoUrl: company.logoUrl,
+    };
+  }
+  return { name: job.employer?.company || job.employer?.name };
+};
+
+/**
+ * When the job stops taking applications: the earliest of its deadline,
+ * expiry and scheduled closing.
+ */
+const validThrough = (job) => {
+  const dates = [job.applicationDeadline, job.expiresAt, job.closeAt]
+    .filter(Boolean)
+    .map((date) => new Date(date));
+  return dates.length
+    ? new Date(Math.min(...dates.map((date) => date.getTime())))
+    : undefined;
+};
+
+// Drop keys whose value is undefined, which JSON-LD validators flag
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined),
+  );
+
+/**
+ * A job as a schema.org `JobPosting`, for Google for Jobs and other
+ * crawlers. `company` is the job's company, when it has one.
+ */
+const toJobPosting = (job, company) => {
+  const organization = hiringOrganization(job, company);
+  const [lng, lat] = job.geoLocation?.coordinates || [];
+
+  return compact({
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: job.description,
+    identifier: {
+      '@type': 'PropertyValue',
+      name: organization.name,
+      value: job._id.toString(),
+    },
+    url: jobUrl(job),
+    datePosted: (job.publishedAt || job.createdAt)?.toISOString(),
+    validThrough: validThrough(job)?.toISOString(),
+    employmentType: SCHEMA_EMPLOYMENT_TYPES[job.employmentType],
+    hiringOrganization: compact({
+      '@type': 'Organization',
+      name: organization.name,
+      sameAs: organization.website,
+      logo: organization.logoUrl,
+    }),
+    jobLocation: compact({
+      '@type': 'Place',
+      address: {
+        '@type': 'PostalAddress',
+        addressLocality: job.location,
+      },
+      geo:
+        lat === undefined
+          ? undefined
+          : { '@type': 'GeoCoordinates', latitude: lat, longitude: lng },
+    }),
+    jobLocationType: job.remotePolicy === 'remote' ? 'TELECOMMUTE' : undefined,
+    baseSalary: job.salaryRange && {
+      '@type': 'MonetaryAmount',
+      currency: job.salaryRange.currency,
+      value: {
+        '@type': 'QuantitativeValue',
+        minValue: job.salaryRange.min,
+        maxValue: job.salaryRange.max,
+        unitText: job.salaryRange.period?.toUpperCase(),
+      },
+    },
+    skills: job.skills?.length ? job.skills.join(', ') : undefined,
+  });
+};
+
+// Characters XML 1.0 doesn't allow, even escaped
+const INVALID_XML_CHARS =
+  /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * An XML element holding text as CDATA, as Indeed's feed examples do.
+ * Empty values give no element.
+ */
+const element = (name, value) => {
+  if (value === undefined || value === null || value === '') return '';
+  const text = String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/]]>/g, ']]]]><![CDATA[>');
+  return `<${name}><![CDATA[${text}]]></${name}>`;
+};
+
+const formatSalary = ({ min, max, currency, period } = {}) =>
+  min === undefined ? undefined : `${currency} ${min} - ${max} per ${period}`;
+
+/**
+ * The start of the XML feed, up to its first job.
+ */
+const feedHeader = (lastBuildDate) =>
+  '<?xml version="1.0" encoding="utf-8"?>\n<source>\n' +
+  `${element('publisher', FEED_PUBLISHER)}\n` +
+  `${element('publisherurl', CLIENT_URL)}\n` +
+  `${element('lastBuildDate', lastBuildDate.toUTCString())}\n`;
+
+const FEED_FOOTER = '</source>\n';
+
+/**
+ * One `<job>` of the XML feed. Jobs have a single free-form location,
+ * which is given as the city.
+ */
+const feedJob = (job, company) => {
+  const organization = hiringOrganization(job, company);
+  const fields = [
+    element('title', job.title),
+    element('date', (job.publishedAt || job.createdAt)?.toUTCString()),
+    element('referencenumber', job._id.toString()),
+    element('url', jobUrl(job)),
+    element('company', organization.name),
+    element('sourcename', organization.name),
+    element('city', job.location),
+    element('description', job.description),
+    element('salary', formatSalary(job.salaryRange)),
+    element('jobtype', FEED_JOB_TYPES[job.employmentType]),
+    element('remotetype', FEED_REMOTE_TYPES[job.remotePolicy]),
+    element('expirationdate', validThrough(job)?.toUTCString()),
+  ];
+  return `<job>\n${fields.filter(Boolean).join('\n')}\n</job>\n`;
+};
+
+module.exports = { toJobPosting, feedHeader, feedJob, FEED_FOOTER };
@@ -0,0 +1,171 @@
+/**
+ * Bulk job import and export: the CSV layout of jobs and applications.
+ *
+ * Job columns mirror the JSON body of `POST /api/jobs`, nested fields with
+ * dotted names (`salaryRange.min`). `skills` are separated by semicolons
+ * and `screeningQuestions` hold a JSON array.
+ */
+const { parseCsvRecords, unescapeFormula } = require('./csv');
+
+// Columns that can be imported, in export order
+const JOB_COLUMNS = [
+  'title',
+  'description',
+  'location',
+  'salaryRange.min',
+  'salaryRange.max',
+  'salaryRange.currency',
+  'salaryRange.period',
+  'employmentType',
+  'remotePolicy',
+  'seniority',
+  'skills',
+  'applicationDeadline',
+  'expiresAt',
+  'closeAt',
+  'coordinates.lat',
+  'coordinates.lng',
+  'maxApplications',
+  'screeningQuestions',
+  'knockoutAction',
+  'status',
+  'publishAt',
+  'companyId',
+];
+
+// Every exported column; those that can't be imported are ignored
+const JOB_EXPORT_COLUMNS = [
+  '_id',
+  ...JOB_COLUMNS,
+  'publishedAt',
+  'closedAt',
+  'createdAt',
+  'updatedAt',
+];
+
+const APPLICATION_COLUMNS = [
+  '_id',
+  'jobId',
+  'jobTitle',
+  'candidateName',
+  'candidateEmail',
+  'candidateId',
+  'status',
+  'applicationDate',
+  'knockedOut',
+  'screeningAnswers',
+  'tags',
+  'ratingAverage',
+  'ratingCount',
+];
+
+const LIST_SEPARATOR = ';';
+
+/**
+ * Parse a cell holding JSON. Invalid JSON is left for the validators to
+ * reject.
+ */
+const parseJsonCell = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+/**
+ * Convert a CSV cell to the value the job field takes in JSON.
+ */
+const decodeCell = (column, value) => {
+  if (column === 'skills') {
+    return value
+      .split(LIST_SEPARATOR)
+      .map((skill) => skill.trim())
+      .filter(Boolean);
+  }
+  if (column === 'screeningQuestions') {
+    return parseJsonCell(value);
+  }
+  return value;
+};
+
+/**
+ * Parse an imported CSV file into job bodies shaped like those of
+ * `POST /api/jobs`. Empty cells are left out, and the apostrophe exports
+ * put before formula-like text is removed. Throws an Error when the
+ * file can't be read or has unknown columns.
+ */
+const parseJobCsv = (text) => {
+  const { columns, records } = parseCsvRecords(text);
+  const unknown = columns.filter(
+    (column) => !JOB_EXPORT_COLUMNS.includes(column),
+  );
+  if (unknown.length) {
+    throw new Error(`Unknown columns: ${unknown.join(', ')}`);
+  }
+
+  return records.map((record) => {
+    const job = {};
+    for (const column of columns) {
+      const value = record[column] && unescapeFormula(record[column]).trim();
+      if (!JOB_COLUMNS.includes(column) || !value) continue;
+
+      const [field, nested] = column.split('.');
+      if (nested) {
+        job[field] = { ...job[field], [nested]: value };
+      } else {
+        job[field] = decodeCell(column, value);
+      }
+    }
+    return job;
+  });
+};
+
+/**
+ * The CSV values of a job, in the order of `JOB_EXPORT_COLUMNS`.
+ */
+const jobCsvValues = (job) => {
+  const [lng, lat] = job.geoLocation?.coordinates || [];
+  const values = {
+    ...job,
+    'salaryRange.min': job.salaryRange?.min,
+    'salaryRange.max': job.salaryRange?.max,
+    'salaryRange.currency': job.salaryRange?.currency,
+    'salaryRange.period': job.salaryRange?.period,
+    'coordinates.lat': lat,
+    'coordinates.lng': lng,
+    skills: job.skills?.join(LIST_SEPARATOR),
+    screeningQuestions: job.screeningQuestions?.length
+      ? JSON.stringify(job.screeningQuestions)
+      : undefined,
+  };
+  return JOB_EXPORT_COLUMNS.map((column) => values[column]);
+};
+
+/**
+ * The CSV values of an application, in the order of `APPLICATION_COLUMNS`.
+ * Its `jobTitle` is looked up by the caller.
+ */
+const applicationCsvValues = (application) => {
+  const values = {
+    ...application,
+    screeningAnswers: application.screeningAnswers?.length
+      ? JSON.stringify(
+          application.screeningAnswers.map(({ prompt, answer }) => ({
+            prompt,
+            answer,
+          })),
+        )
+      : undefined,
+    tags: application.tags?.join(LIST_SEPARATOR),
+  };
+  return APPLICATION_COLUMNS.map((column) => values[column]);
+};
+
+module.exports = {
+  JOB_EXPORT_COLUMNS,
+  APPLICATION_COLUMNS,
+  parseJobCsv,
+  jobCsvValues,
+  applicationCsvValues,
+};
@@ -0,0 +1,20 @@
+/**
+ * Console Transport
+ * Prints outgoing emails to stdout. Intended for local development.
+ */
+class ConsoleTransport {
+  async send(message) {
+    console.log(
+      [
+        '📧 Outgoing email',
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text,
+      ].join('\n'),
+    );
+    return { accepted: [message.to] };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File Transport
+ * Writes each outgoing email as a JSON file, so tests and developers can
+ * read the messages (and the links inside them) back.
+ */
+class FileTransport {
+  constructor({ dir }) {
+    this.dir = path.resolve(dir);
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+    await fs.promises.writeFile(
+      path.join(this.dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2),
+    );
+
+    return { accepted: [message.to] };
+  }
+}
+
+module.exports = FileTransport;
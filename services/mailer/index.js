@@ -0,0 +1,42 @@
+require('dotenv').config();
+
+/**
+ * Outgoing email.
+ *
+ * Every transport exposes `send({ from, to, subject, text, html })`.
+ * The transport is selected with MAIL_TRANSPORT (console, file or smtp).
+ * Transports are loaded lazily so SMTP settings are only needed when used.
+ */
+const transports = {
+  console: () => new (require('./consoleTransport'))(),
+  file: () =>
+    new (require('./fileTransport'))({
+      dir: process.env.MAIL_DIR || 'mail-outbox',
+    }),
+  smtp: () =>
+    new (require('./smtpTransport'))({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    }),
+};
+
+const transportName = process.env.MAIL_TRANSPORT || 'console';
+
+if (!transports[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+}
+
+const transport = transports[transportName]();
+const from = process.env.MAIL_FROM || 'Job Posting API <no-reply@localhost>';
+
+/**
+ * Send an email through the configured transport.
+ * `attachments` are `{ filename, content, contentType }` objects.
+ */
+const sendMail = ({ to, subject, text, html, attachments }) =>
+  transport.send({ from, to, subject, text, html, attachments });
+
+module.exports = { sendMail };
@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP Transport
+ * Delivers emails through any SMTP-compatible server.
+ */
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass }) {
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { accepted: info.accepted };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,180 @@
+require('dotenv').config();
+
+// Base URL of the front-end that handles the links in emails
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+const link = (pathname, token) =>
+  `${CLIENT_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+const formatDateTime = (date) => new Date(date).toUTCString();
+
+/**
+ * Email asking a newly registered user to confirm their address.
+ */
+const verificationEmail = ({ name, token, expiresInHours }) => {
+  const url = link('/verify-email', token);
+  return {
+    subject: 'Verify your email address',
+    text: `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n\n${url}\n\nThe link expires in ${expiresInHours} hours.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${url}">${url}</a></p><p>The link expires in ${expiresInHours} hours.</p>`,
+  };
+};
+
+/**
+ * Email with a single-use link to choose a new password.
+ */
+const passwordResetEmail = ({ name, token, expiresInHours }) => {
+  const url = link('/reset-password', token);
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${url}\n\nThe link expires in ${expiresInHours} hours. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${url}">${url}</a></p><p>The link expires in ${expiresInHours} hours. If you did not request this, you can ignore this email.</p>`,
+  };
+};
+
+/**
+ * Email inviting someone to join a company's team.
+ */
+const companyInvitationEmail = ({
+  companyName,
+  inviterName,
+  role,
+  token,
+  expiresInHours,
+}) => {
+  const url = link('/accept-invitation', token);
+  return {
+    subject: `You're invited to join ${companyName}`,
+    text: `Hi,\n\n${inviterName} invited you to join ${companyName} as ${role}. Sign in (or register with this email address) and open the link below to accept:\n\n${url}\n\nThe invitation expires in ${expiresInHours} hours.`,
+    html: `<p>Hi,</p><p>${escapeHtml(inviterName)} invited you to join ${escapeHtml(companyName)} as ${escapeHtml(role)}. Sign in (or register with this email address) and open the link below to accept:</p><p><a href="${url}">${url}</a></p><p>The invitation expires in ${expiresInHours} hours.</p>`,
+  };
+};
+
+/**
+ * Digest of new jobs matching a candidate's saved searches, with a link per
+ * search to stop emails for it.
+ */
+const jobAlertDigestEmail = ({ name, searches }) => {
+  const total = searches.reduce((sum, search) => sum + search.jobs.length, 0);
+  const jobUrl = (job) => `${CLIENT_URL}/jobs/${job._id}`;
+  const sections = searches.map((search) => ({
+    ...search,
+    unsubscribeUrl: link('/unsubscribe', search.unsubscribeToken),
+  }));
+
+  return {
+    subject: `${total} new job${total === 1 ? '' : 's'} matching your saved searches`,
+    text: `Hi ${name},\n\nNew jobs match your saved searches:\n${sections
+      .map(
+        (search) =>
+          `\n${search.name}\n${search.jobs
+            .map((job) => `- ${job.title} (${job.location}): ${jobUrl(job)}`)
+            .join('\n')}\nStop these emails: ${search.unsubscribeUrl}\n`,
+      )
+      .join('')}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>New jobs match your saved searches:</p>${sections
+      .map(
+        (search) =>
+          `<h3>${escapeHtml(search.name)}</h3><ul>${search.jobs
+            .map(
+              (job) =>
+                `<li><a href="${jobUrl(job)}">${escapeHtml(job.title)}</a> (${escapeHtml(job.location)})</li>`,
+            )
+            .join(
+              '',
+            )}</ul><p><a href="${search.unsubscribeUrl}">Stop these emails</a></p>`,
+      )
+      .join('')}`,
+  };
+};
+
+/**
+ * Email inviting a candidate to pick one of the proposed interview times.
+ */
+const interviewInvitationEmail = ({
+  name,
+  title,
+  slots,
+  durationMinutes,
+  location,
+  notes,
+  token,
+}) => {
+  const url = link('/interviews/respond', token);
+  const details = [
+    `Duration: ${durationMinutes} minutes`,
+    location && `Location: ${location}`,
+    notes,
+  ].filter(Boolean);
+  return {
+    subject: `Choose a time: ${title}`,
+    text: `Hi ${name},\n\nYou're invited to ${title}. Please choose one of these times (UTC):\n\n${slots
+      .map((slot) => `- ${formatDateTime(slot)}`)
+      .join(
+        '\n',
+      )}\n\n${details.join('\n')}\n\nOpen the link below to pick a time, or to ask for other times:\n\n${url}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>You're invited to ${escapeHtml(title)}. Please choose one of these times (UTC):</p><ul>${slots
+      .map((slot) => `<li>${formatDateTime(slot)}</li>`)
+      .join(
+        '',
+      )}</ul><p>${details.map(escapeHtml).join('<br>')}</p><p><a href="${url}">Pick a time</a>, or ask for other times.</p>`,
+  };
+};
+
+/**
+ * Email confirming an interview's time, sent with the calendar invite.
+ * `updated` is set when details of a confirmed interview changed.
+ */
+const interviewConfirmationEmail = ({
+  name,
+  title,
+  scheduledAt,
+  durationMinutes,
+  location,
+  token,
+  updated = false,
+}) => {
+  const url = link('/interviews/respond', token);
+  const when = `${formatDateTime(scheduledAt)} (${durationMinutes} minutes)`;
+  const intro = updated
+    ? `The details of ${title} have changed.`
+    : `${title} is confirmed.`;
+  return {
+    subject: `${updated ? 'Updated' : 'Confirmed'}: ${title}`,
+    text: `Hi ${name},\n\n${intro}\n\nWhen: ${when}${location ? `\nWhere: ${location}` : ''}\n\nThe attached invite adds it to your calendar. To cancel or ask for another time, open:\n\n${url}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>${escapeHtml(intro)}</p><p>When: ${when}${location ? `<br>Where: ${escapeHtml(location)}` : ''}</p><p>The attached invite adds it to your calendar. <a href="${url}">Cancel or ask for another time</a>.</p>`,
+  };
+};
+
+/**
+ * Email telling a candidate an interview was cancelled.
+ */
+const interviewCancellationEmail = ({ name, title, scheduledAt, reason }) => {
+  const when = scheduledAt ? ` on ${formatDateTime(scheduledAt)}` : '';
+  return {
+    subject: `Cancelled: ${title}`,
+    text: `Hi ${name},\n\n${title}${when} has been cancelled.${reason ? `\n\nReason: ${reason}` : ''}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>${escapeHtml(title)}${when} has been cancelled.</p>${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ''}`,
+  };
+};
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  companyInvitationEmail,
+  jobAlertDigestEmail,
+  interviewInvitationEmail,
+  interviewConfirmationEmail,
+  interviewCancellationEmail,
+};
@@ -0,0 +1,42 @@
+const Employer = require('../models/Employer');
+const JobReport = require('../models/JobReport');
+
+/**
+ * A Job filter leaving out the jobs of suspended employers, which
+ * candidates must not see.
+ */
+const activeEmployerFilter = async () => {
+  const suspendedIds = await Employer.find({
+    suspendedAt: { $exists: true },
+  }).distinct('_id');
+  return suspendedIds.length ? { employerId: { $nin: suspendedIds } } : {};
+};
+
+/**
+ * Check whether a job's employer is suspended.
+ */
+const isEmployerSuspended = async (employerId) =>
+  Boolean(
+    await Employer.exists({ _id: employerId, suspendedAt: { $exists: true } }),
+  );
+
+/**
+ * Close the open reports of a job once an admin has dealt with it.
+ * `status` is `actioned` or `dismissed`.
+ */
+const resolveJobReports = (jobId, status, adminId, note) =>
+  JobReport.updateMany(
+    { jobId, status: 'open' },
+    {
+      status,
+      resolvedBy: adminId,
+      resolvedAt: new Date(),
+      resolutionNote: note,
+    },
+  );
+
+module.exports = {
+  activeEmployerFilter,
+  isEmployerSuspended,
+  resolveJobReports,
+};
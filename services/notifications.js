@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Membership = require('../models/Membership');
+const { userRoom } = require('./realtime');
+require('dotenv').config();
+
+const RETENTION_DAYS = Number(process.env.NOTIFICATION_TTL_DAYS) || 90;
+const REPLAY_LIMIT = 100;
+
+/**
+ * Socket payload for a stored notification: the event payload plus the
+ * notification's ID, which clients acknowledge to get replays.
+ */
+const toEventPayload = (notification) => ({
+  notificationId: notification._id,
+  createdAt: notification.createdAt,
+  ...notification.payload,
+});
+
+/**
+ * Store a notification for each recipient and emit it to their connected
+ * devices. `recipients` are `{ id, role }`.
+ * Never rejects: a failed notification must not fail the request behind it.
+ */
+const notify = async (io, recipients, type, payload) => {
+  try {
+    if (!recipients.length) {
+      return [];
+    }
+
+    const expiresAt = new Date(Date.now() + RETENTION_DAYS * 86400000);
+    const notifications = await Notification.insertMany(
+      recipients.map(({ id, role }) => ({
+        recipientId: id,
+        recipientRole: role,
+        type,
+        payload,
+        expiresAt,
+      })),
+    );
+
+    for (const notification of notifications) {
+      io?.to(
+        userRoom(notification.recipientRole, notification.recipientId),
+      ).emit(type, toEventPayload(notification));
+    }
+    return notifications;
+  } catch (err) {
+    console.error(`Error sending ${type} notification:`, err);
+    return [];
+  }
+};
+
+/**
+ * Everyone working on a job: its company's members, or the employer who
+ * posted it when it has no company.
+ */
+const jobTeam = async (job) => {
+  const employerIds = job.companyId
+    ? await Membership.find({ companyId: job.companyId }).distinct('employerId')
+    : [job.employerId];
+
+  return employerIds.map((id) => ({ id, role: 'employer' }));
+};
+
+/**
+ * Notify everyone working on a job.
+ */
+const notifyJobTeam = async (io, job, type, payload) => {
+  try {
+    return notify(io, await jobTeam(job), type, payload);
+  } catch (err) {
+    console.error(`Error sending ${type} notification:`, err);
+    return [];
+  }
+};
+
+/**
+ * Notify a signed-in candidate. Anonymous applicants have no inbox.
+ */
+const notifyCandidate = (io, candidateId, type, payload) =>
+  candidateId
+    ? notify(io, [{ id: candidateId, role: 'candidate' }], type, payload)
+    : Promise.resolve([]);
+
+/**
+ * Tell everyone working on a job that it moved to another status.
+ */
+const notifyJobStatusChange = (io, job, previousStatus) =>
+  notifyJobTeam(io, job, 'jobStatusChanged', {
+    jobId: job._id,
+    title: job.title,
+    status: job.status,
+    previousStatus,
+  });
+
+/**
+ * Re-send notifications a reconnecting socket missed: everything after the
+ * `lastNotificationId` the client acknowledged in its handshake, oldest
+ * first. Ends with a `notificationsReplayed` event; when `hasMore` is set,
+ * the client should catch up through the REST inbox.
+ */
+const replayMissedNotifications = async (socket) => {
+  const { user } = socket.data;
+  const lastId = socket.handshake.auth?.lastNotificationId;
+  if (!lastId) {
+    return;
+  }
+
+  try {
+    if (!mongoose.isValidObjectId(lastId)) {
+      socket.emit('notificationsReplayed', {
+        count: 0,
+        hasMore: false,
+        error: 'Invalid lastNotificationId',
+      });
+      return;
+    }
+
+    const missed = await Notification.find({
+      recipientId: user.id,
+      recipientRole: user.role,
+      _id: { $gt: lastId },
+    })
+      .sort({ _id: 1 })
+      .limit(REPLAY_LIMIT + 1)
+      .lean();
+
+    const hasMore = missed.length > REPLAY_LIMIT;
+    const replayed = missed.slice(0, REPLAY_LIMIT);
+    for (const notification of replayed) {
+      socket.emit(notification.type, toEventPayload(notification));
+    }
+    socket.emit('notificationsReplayed', { count: replayed.length, hasMore });
+  } catch (err) {
+    console.error('Error replaying notifications:', err);
+  }
+};
+
+module.exports = {
+  notify,
+  notifyJobTeam,
+  notifyCandidate,
+  notifyJobStatusChange,
+  replayMissedNotifications,
+};
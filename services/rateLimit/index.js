@@ -0,0 +1,26 @@
+require('dotenv').config();
+
+/**
+ * Counter store for rate limits.
+ *
+ * Every store exposes the same async interface:
+ *   - increment(key, windowMs) -> { count, resetAt }: count this request in
+ *     the key's current window, starting a new window of `windowMs` when
+ *     the previous one has ended
+ *   - reset(key) -> forgets the key's current window
+ *
+ * The store is selected with RATE_LIMIT_STORE. To share limits between
+ * server instances, implement the interface above on Redis (INCR, then
+ * PEXPIRE when the count is 1) and register it in `stores`.
+ */
+const stores = {
+  memory: () => new (require('./memoryStore'))(),
+};
+
+const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+
+if (!stores[storeName]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${storeName}`);
+}
+
+module.exports = stores[storeName]();
@@ -0,0 +1,38 @@
+/**
+ * Memory Rate Limit Store
+ * Keeps fixed-window counters in this process. Limits are per server
+ * instance; use a shared store when running several.
+ */
+class MemoryRateLimitStore {
+  constructor({ sweepIntervalMs = 60000 } = {}) {
+    this.windows = new Map();
+
+    // Forget windows that have ended, so idle keys don't pile up
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return { count: window.count, resetAt: new Date(window.resetAt) };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+module.exports = MemoryRateLimitStore;
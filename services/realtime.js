@@ -0,0 +1,91 @@
+const socketIo = require('socket.io');
+const jwt = require('jsonwebtoken');
+const {
+  isSessionActive,
+  toRequestUser,
+  secretKey,
+} = require('../middleware/auth');
+
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * The room of one user. Every device they connect from joins it, so events
+ * reach all of them.
+ */
+const userRoom = (role, id) => `${role}:${id}`;
+
+/**
+ * Read the access token from the handshake: `auth.token` from the
+ * Socket.IO client, or a `Bearer` Authorization header.
+ */
+const handshakeToken = (handshake) => {
+  if (handshake.auth?.token) {
+    return handshake.auth.token;
+  }
+
+  const authHeader = handshake.headers?.authorization;
+  return authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+};
+
+/**
+ * Socket.IO middleware that authenticates the handshake with the same
+ * access tokens as the REST API.
+ */
+const authenticateSocket = async (socket, next) => {
+  const token = handshakeToken(socket.handshake);
+  if (!token) {
+    return next(new Error('Unauthorized: No token provided.'));
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, secretKey);
+  } catch (err) {
+    return next(new Error('Forbidden: Invalid or expired token.'));
+  }
+
+  try {
+    if (!(await isSessionActive(user))) {
+      return next(new Error('Unauthorized: Session has been revoked.'));
+    }
+
+    socket.data.user = toRequestUser(user);
+    next();
+  } catch (err) {
+    console.error('Socket authentication error:', err);
+    next(new Error('Internal Server Error'));
+  }
+};
+
+/**
+ * Create the Socket.IO server. Clients must authenticate with an access
+ * token, and are disconnected when it expires.
+ */
+const createRealtimeServer = (server, options = {}) => {
+  const io = socketIo(server, options);
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    socket.join(userRoom(user.role, user.id));
+    console.log(`Socket ${socket.id} connected for ${user.role} ${user.id}`);
+
+    // Access tokens are short-lived; make the client reconnect with a new one.
+    // Delays beyond what setTimeout supports are left to the next reconnect.
+    const expiresIn = user.exp ? user.exp * 1000 - Date.now() : Infinity;
+    const expiryTimer =
+      expiresIn <= MAX_TIMEOUT_MS
+        ? setTimeout(() => socket.disconnect(true), Math.max(expiresIn, 0))
+        : null;
+
+    socket.on('disconnect', () => {
+      clearTimeout(expiryTimer);
+      console.log(`Socket ${socket.id} disconnected`);
+    });
+  });
+
+  return io;
+};
+
+module.exports = { createRealtimeServer, userRoom };
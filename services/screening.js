@@ -0,0 +1,264 @@
+/**
+ * Screening questions: checking a job's questions when it is saved, and a
+ * candidate's answers when they apply.
+ *
+ * Question types and their answers:
+ *   - text: a string
+ *   - boolean: true or false ("yes"/"no" and "true"/"false" are accepted)
+ *   - single_choice: one of the question's `options`
+ *   - multiple_choice: a list of the question's `options`
+ *   - number: a number, within `min` and `max` when set
+ */
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+const CHOICE_TYPES = ['single_choice', 'multiple_choice'];
+const NUMBER_RULES = ['min', 'max', 'knockoutBelow', 'knockoutAbove'];
+const MAX_QUESTIONS = 50;
+const MAX_OPTIONS = 20;
+const MAX_PROMPT_LENGTH = 500;
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+
+const BOOLEAN_ANSWERS = { true: true, yes: true, false: false, no: false };
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check the screening questions of a job posting. Throws an Error
+ * describing the first problem, as an express-validator custom validator.
+ */
+const validateQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length > MAX_QUESTIONS) {
+    throw new Error(
+      `Screening questions must be an array of at most ${MAX_QUESTIONS} questions`,
+    );
+  }
+
+  const ids = new Set();
+  questions.forEach((question, index) => {
+    const fail = (message) => {
+      throw new Error(`Screening question ${index + 1}: ${message}`);
+    };
+
+    if (!question || typeof question !== 'object') {
+      fail('must be an object');
+    }
+    if (question._id !== undefined) {
+      if (!mongoose.isValidObjectId(question._id)) fail('invalid _id');
+      if (ids.has(String(question._id))) fail('duplicate _id');
+      ids.add(String(question._id));
+    }
+    if (
+      typeof question.prompt !== 'string' ||
+      !question.prompt.trim() ||
+      question.prompt.length > MAX_PROMPT_LENGTH
+    ) {
+      fail(
+        `prompt must be a non-empty string of at most ${MAX_PROMPT_LENGTH} characters`,
+      );
+    }
+    if (!Job.SCREENING_QUESTION_TYPES.includes(question.type)) {
+      fail(`type must be one of: ${Job.SCREENING_QUESTION_TYPES.join(', ')}`);
+    }
+    if (
+      question.required !== undefined &&
+      typeof question.required !== 'boolean'
+    ) {
+      fail('required must be true or false');
+    }
+
+    if (CHOICE_TYPES.includes(question.type)) {
+      const { options } = question;
+      if (
+        !Array.isArray(options) ||
+        options.length < 2 ||
+        options.length > MAX_OPTIONS ||
+        !options.every((option) => typeof option === 'string' && option) ||
+        new Set(options).size !== options.length
+      ) {
+        fail(`options must be 2 to ${MAX_OPTIONS} distinct non-empty strings`);
+      }
+    } else if (question.options !== undefined) {
+      fail('options are only allowed on choice questions');
+    }
+
+    if (question.type === 'number') {
+      if (
+        !NUMBER_RULES.every(
+          (rule) =>
+            [undefined, null].includes(question[rule]) ||
+            isNumber(question[rule]),
+        )
+      ) {
+        fail(`${NUMBER_RULES.join(', ')} must be numbers`);
+      }
+      if (
+        isNumber(question.min) &&
+        isNumber(question.max) &&
+        question.min > question.max
+      ) {
+        fail('min cannot be greater than max');
+      }
+    } else if (NUMBER_RULES.some((rule) => question[rule] !== undefined)) {
+      fail(`${NUMBER_RULES.join(', ')} are only allowed on number questions`);
+    }
+
+    if (question.knockoutAnswers !== undefined) {
+      const possible =
+        question.type === 'boolean' ? [true, false] : question.options;
+      if (!['boolean', ...CHOICE_TYPES].includes(question.type)) {
+        fail('knockoutAnswers are only allowed on yes/no and choice questions');
+      }
+      if (
+        !Array.isArray(question.knockoutAnswers) ||
+        !question.knockoutAnswers.every((answer) => possible.includes(answer))
+      ) {
+        fail(
+          "knockoutAnswers must be a list of the question's possible answers",
+        );
+      }
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Convert a submitted answer to the question's type.
+ * Returns `{ value }`, `{ missing: true }` when there is no answer, or
+ * `{ error }` when the answer is invalid.
+ */
+const parseAnswer = (question, raw) => {
+  if (raw === undefined || raw === null || raw === '') {
+    return { missing: true };
+  }
+
+  switch (question.type) {
+    case 'text': {
+      if (typeof raw !== 'string') return { error: 'must be text' };
+      const value = raw.trim();
+      if (!value) return { missing: true };
+      if (value.length > MAX_TEXT_ANSWER_LENGTH) {
+        return {
+          error: `must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`,
+        };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      const value =
+        typeof raw === 'boolean'
+          ? raw
+          : BOOLEAN_ANSWERS[String(raw).trim().toLowerCase()];
+      return value === undefined ? { error: 'must be yes or no' } : { value };
+    }
+    case 'single_choice':
+      return question.options.includes(raw)
+        ? { value: raw }
+        : { error: `must be one of: ${question.options.join(', ')}` };
+    case 'multiple_choice': {
+      const values = Array.isArray(raw) ? [...new Set(raw)] : [raw];
+      if (!values.every((value) => question.options.includes(value))) {
+        return {
+          error: `must be a list of any of: ${question.options.join(', ')}`,
+        };
+      }
+      return values.length ? { value: values } : { missing: true };
+    }
+    case 'number': {
+      const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      if (!isNumber(value)) return { error: 'must be a number' };
+      if (isNumber(question.min) && value < question.min) {
+        return { error: `must be at least ${question.min}` };
+      }
+      if (isNumber(question.max) && value > question.max) {
+        return { error: `must be at most ${question.max}` };
+      }
+      return { value };
+    }
+    default:
+      return { error: 'cannot be answered' };
+  }
+};
+
+/**
+ * Check whether an answer disqualifies the candidate.
+ */
+const isKnockout = (question, answer) => {
+  if (question.type === 'number') {
+    return (
+      (isNumber(question.knockoutBelow) && answer < question.knockoutBelow) ||
+      (isNumber(question.knockoutAbove) && answer > question.knockoutAbove)
+    );
+  }
+
+  const knockoutAnswers = question.knockoutAnswers || [];
+  const answers = Array.isArray(answer) ? answer : [answer];
+  return answers.some((value) => knockoutAnswers.includes(value));
+};
+
+/**
+ * Check a candidate's answers, given as an object mapping question IDs to
+ * answers, against a job's screening questions.
+ * Returns `{ errors, answers, knockedOut }`: errors are in the shape of
+ * express-validator errors; answers are ready to store on the application.
+ */
+const evaluateAnswers = (questions = [], submitted = {}) => {
+  const errors = [];
+  const answers = [];
+  const fieldError = (questionId, msg, value) =>
+    errors.push({
+      type: 'field',
+      value,
+      msg,
+      path: `answers.${questionId}`,
+      location: 'body',
+    });
+
+  const questionIds = new Set(questions.map(({ _id }) => _id.toString()));
+  for (const questionId of Object.keys(submitted)) {
+    if (!questionIds.has(questionId)) {
+      fieldError(questionId, 'Unknown screening question');
+    }
+  }
+
+  for (const question of questions) {
+    const questionId = question._id.toString();
+    const raw = submitted[questionId];
+    const { value, missing, error } = parseAnswer(question, raw);
+
+    if (error) {
+      fieldError(questionId, `Answer to "${question.prompt}" ${error}`, raw);
+    } else if (missing) {
+      if (question.required) {
+        fieldError(questionId, `An answer to "${question.prompt}" is required`);
+      }
+    } else {
+      answers.push({
+        questionId: question._id,
+        prompt: question.prompt,
+        type: question.type,
+        answer: value,
+        knockout: isKnockout(question, value),
+      });
+    }
+  }
+
+  return {
+    errors,
+    answers,
+    knockedOut: answers.some(({ knockout }) => knockout),
+  };
+};
+
+/**
+ * A screening question as shown to candidates, without its knockout rules.
+ */
+const toPublicQuestion = ({
+  knockoutAnswers,
+  knockoutBelow,
+  knockoutAbove,
+  ...question
+}) => question;
+
+module.exports = { validateQuestions, evaluateAnswers, toPublicQuestion };
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { secretKey } = require('../middleware/auth');
+require('dotenv').config();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '1h';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const MAX_ROTATED_HASHES = 50; // Older refresh tokens are simply rejected
+
+const hashToken = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Refresh tokens have the form `<sessionId>.<secret>`; only the hash of the
+ * secret is stored.
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    secretKey,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN },
+  );
+
+/**
+ * Start a new session for a user that just logged in.
+ * `user` is `{ id, email, role }`. Returns the access and refresh tokens.
+ */
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting an already rotated refresh token revokes the whole session,
+ * since it means the token was copied. Returns null if the token is invalid.
+ */
+const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (session.rotatedTokenHashes.includes(presentedHash)) {
+    console.warn(`Refresh token reuse detected for session ${session.id}`);
+    session.revokedAt = new Date();
+    session.revokedReason = 'refresh_token_reuse';
+    await session.save();
+    return null;
+  }
+
+  if (session.refreshTokenHash !== presentedHash) {
+    return null;
+  }
+
+  // Rotate atomically so two concurrent refreshes can't both succeed
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: { refreshTokenHash: hashToken(secret), lastUsedAt: new Date() },
+      $push: {
+        rotatedTokenHashes: {
+          $each: [presentedHash],
+          $slice: -MAX_ROTATED_HASHES,
+        },
+      },
+    },
+    { new: true },
+  );
+  if (!rotated) {
+    return null;
+  }
+
+  const user = { id: rotated.userId, email: rotated.email, role: rotated.role };
+  return {
+    token: signAccessToken(user, rotated.id),
+    refreshToken: `${rotated.id}.${secret}`,
+  };
+};
+
+/**
+ * Revoke a single session.
+ */
+const revokeSession = (sessionId, reason = 'logout') =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+
+/**
+ * Revoke every active session of a user.
+ */
+const revokeAllSessions = (userId, reason = 'logout_all') =>
+  Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,26 @@
+require('dotenv').config();
+const LocalDiskStorage = require('./localDisk');
+
+/**
+ * File storage for uploaded documents.
+ *
+ * Every driver exposes the same async interface:
+ *   - save({ buffer, originalName, mimeType }) -> { key }
+ *   - getStream(key) -> Readable stream of the file contents
+ *   - remove(key) -> removes the file, ignoring missing keys
+ *
+ * The driver is selected with FILE_STORAGE_DRIVER. To add object storage,
+ * implement the interface above and register it in `drivers`.
+ */
+const drivers = {
+  local: () =>
+    new LocalDiskStorage({ baseDir: process.env.UPLOAD_DIR || 'uploads' }),
+};
+
+const driverName = process.env.FILE_STORAGE_DRIVER || 'local';
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown FILE_STORAGE_DRIVER: ${driverName}`);
+}
+
+module.exports = drivers[driverName]();
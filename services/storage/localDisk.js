@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Local Disk Storage
+ * Stores uploaded files under a base directory, grouped by year and month.
+ */
+class LocalDiskStorage {
+  constructor({ baseDir }) {
+    this.baseDir = path.resolve(baseDir);
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the base directory.
+   * Rejects keys that would escape it (e.g. `../`).
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.baseDir, key);
+    if (!filePath.startsWith(this.baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save({ buffer, originalName }) {
+    const now = new Date();
+    const key = path.posix.join(
+      String(now.getUTCFullYear()),
+      String(now.getUTCMonth() + 1).padStart(2, '0'),
+      `${crypto.randomUUID()}${path.extname(originalName).toLowerCase()}`,
+    );
+
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { key };
+  }
+
+  async getStream(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.access(filePath); // Fails early if the file is missing
+    return fs.createReadStream(filePath);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalDiskStorage;
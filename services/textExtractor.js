@@ -0,0 +1,30 @@
+const pdfParse = require('pdf-parse/lib/pdf-parse.js'); // Skips the debug harness in the package entry point
+const mammoth = require('mammoth');
+
+const extractors = {
+  'application/pdf': async (buffer) => (await pdfParse(buffer)).text,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    async (buffer) => (await mammoth.extractRawText({ buffer })).value,
+  'text/plain': async (buffer) => buffer.toString('utf8'),
+};
+
+/**
+ * Extract plain text from an uploaded document.
+ * Returns an empty string for unsupported types or unreadable files.
+ */
+const extractText = async (buffer, mimeType) => {
+  const extractor = extractors[mimeType];
+  if (!extractor) {
+    return '';
+  }
+
+  try {
+    const text = await extractor(buffer);
+    return text.replace(/\s+/g, ' ').trim();
+  } catch (err) {
+    console.error(`Text extraction failed for ${mimeType}:`, err.message);
+    return '';
+  }
+};
+
+module.exports = { extractText };
@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+require('dotenv').config();
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 60000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const INTERVAL_MS = Number(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 10000;
+// Only for development, to receive webhooks on the same machine or network
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+const RESPONSE_BODY_LIMIT = 2000;
+const BATCH_SIZE = 20;
+
+let timer = null;
+let running = false;
+
+// Loopback, private, link-local and other addresses that aren't on the
+// public internet, where webhooks could reach the server's own network.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 subnets.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const isPrivateAddress = (address) =>
+  PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const privateUrlError = (hostname) =>
+  `${hostname} is a private or local address; webhooks must be reachable on the public internet`;
+
+/**
+ * Check that a webhook URL doesn't point into the server's own network.
+ * Resolves with the reason it can't be used, or null. Host names that
+ * don't resolve yet are accepted; deliveries check the address again.
+ */
+const webhookUrlError = async (url) => {
+  if (ALLOW_PRIVATE_URLS) return null;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return isPrivateAddress(hostname) ? privateUrlError(hostname) : null;
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return privateUrlError(hostname);
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.some(({ address }) => isPrivateAddress(address))
+      ? privateUrlError(hostname)
+      : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * `dns.lookup` for outgoing deliveries, failing on private addresses. Used
+ * as the request's lookup, so the address checked is the one connected to
+ * even if the host name's DNS records change in the meantime.
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(new Error(privateUrlError(hostname)));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Generate a secret for signing a webhook's payloads.
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a payload. Receivers recompute the HMAC-SHA256 of
+ * `<timestamp>.<body>` with their secret and compare it to the
+ * `X-Webhook-Signature` header.
+ */
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * POST a body to a URL. Resolves with `{ status, body }` for any HTTP
+ * response, and rejects on network errors and timeouts.
+ */
+const post = (url, body, headers) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    // IP addresses in the URL are connected to without a lookup
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (!ALLOW_PRIVATE_URLS && net.isIP(host) && isPrivateAddress(host)) {
+      reject(new Error(privateUrlError(host)));
+      return;
+    }
+
+    const req = client.request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: TIMEOUT_MS,
+        lookup: ALLOW_PRIVATE_URLS ? undefined : lookupPublicAddress,
+      },
+      (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          if (data.length < RESPONSE_BODY_LIMIT) data += chunk;
+        });
+        res.on('end', () =>
+          resolve({
+            status: res.statusCode,
+            body: data.slice(0, RESPONSE_BODY_LIMIT),
+          }),
+        );
+      },
+    );
+    req.on('timeout', () =>
+      req.destroy(new Error(`Timed out after ${TIMEOUT_MS}ms`)),
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+
+/**
+ * Delay before the next attempt: doubles after every failed attempt.
+ */
+const retryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+/**
+ * Attempt one delivery and record the outcome. Failed attempts are
+ * rescheduled with exponential backoff until `WEBHOOK_MAX_ATTEMPTS`.
+ */
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhookId)
+    .select('+secret url active')
+    .lean();
+  const now = new Date();
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  try {
+    const response = await post(webhook.url, body, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'JobPostingAPI-Webhooks/1.0',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': sign(webhook.secret, timestamp, body),
+    });
+    delivery.responseStatus = response.status;
+    delivery.responseBody = response.body;
+    delivery.error =
+      response.status >= 200 && response.status < 300
+        ? undefined
+        : `Endpoint responded with HTTP ${response.status}`;
+  } catch (err) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error = err.message;
+  }
+
+  if (!delivery.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(
+      Date.now() + retryDelay(delivery.attempts),
+    );
+  }
+  return delivery.save();
+};
+
+/**
+ * Attempt every pending delivery that is due. Each delivery is claimed by
+ * pushing its next attempt past the request timeout, so that concurrent
+ * workers never send it twice.
+ * Returns the number of deliveries attempted.
+ */
+const processDueDeliveries = async () => {
+  let processed = 0;
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { nextAttemptAt: new Date(now.getTime() + TIMEOUT_MS * 2) },
+      { sort: { nextAttemptAt: 1 }, new: true },
+    );
+    if (!delivery) break;
+
+    await attemptDelivery(delivery);
+    processed++;
+  }
+
+  return processed;
+};
+
+/**
+ * Run `processDueDeliveries` once. Runs never overlap.
+ */
+const runWorker = async () => {
+  if (running) return;
+  running = true;
+  try {
+    while ((await processDueDeliveries()) === BATCH_SIZE) {
+      // Keep going while there is a backlog
+    }
+  } catch (err) {
+    console.error('Webhook worker error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Queue a delivery to each active webhook subscribed to an event on a job.
+ * Company jobs go to the company's webhooks, other jobs to their
+ * employer's own. Never rejects: a failed webhook must not fail the
+ * request behind it.
+ */
+const emitWebhookEvent = async (event, job, data) => {
+  try {
+    const owner = job.companyId
+      ? { companyId: job.companyId }
+      : { employerId: job.employerId, companyId: null };
+    const webhooks = await Webhook.find({
+      ...owner,
+      active: true,
+      events: event,
+    })
+      .select('_id')
+      .lean();
+    if (!webhooks.length) {
+      return [];
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date(),
+      data,
+    };
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map(({ _id }) => ({ webhookId: _id, event, payload })),
+    );
+
+    // Deliver right away rather than waiting for the next interval
+    setImmediate(runWorker);
+    return deliveries;
+  } catch (err) {
+    console.error(`Error queuing ${event} webhooks:`, err);
+    return [];
+  }
+};
+
+/**
+ * Queue a fresh copy of an earlier delivery, with a new attempt count.
+ */
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+  });
+
+  setImmediate(runWorker);
+  return copy;
+};
+
+/**
+ * Deliver queued webhooks on an interval, so retries go out when due.
+ */
+const startWebhookWorker = () => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(runWorker, INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the worker
+};
+
+const stopWebhookWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  generateSecret,
+  sign,
+  webhookUrlError,
+  emitWebhookEvent,
+  redeliver,
+  processDueDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
@@ -1,32 +1,270 @@
 // 📌 Socket.IO Test Client
-// This file is used to test real-time notifications from the server.
+// Exercises the authenticated real-time notification flow end to end and
+// exits with a non-zero code if anything is missing.
 // Ensure your API server is running before testing.
 
 // ✅ How to Test:
 // 1️⃣ Start the Job Posting API: `yarn start` or `docker compose up --build -d`
-// 2️⃣ Replace the employerId below with an actual employerId from your database.
-// 3️⃣ Run this script: `node socket-test.js`
-// 4️⃣ If a candidate applies for a job, you'll receive a real-time notification.
+// 2️⃣ Run this script: `yarn test:socket` (or `node test-socket.js`)
+//    - API_URL: server to test (default http://localhost:3000)
+//    - EMPLOYER_EMAIL / EMPLOYER_PASSWORD: an existing employer to sign in
+//      as. Without them a throwaway employer is registered, which requires
+//      REQUIRE_EMAIL_VERIFICATION to be off.
+// 3️⃣ The script checks that:
+//    - connections without a valid token are refused
+//    - two devices of the same employer both receive `newApplication`
+//    - `applicationStatusChanged`, `jobUpdated` and `jobStatusChanged` arrive
+//    - events missed while offline are replayed on reconnect
 
+const http = require('http');
+const https = require('https');
 const io = require('socket.io-client');
 
-// Ensure the URL and port match your running server (http://localhost:3000)
-const socket = io('http://localhost:3000', { transports: ['websocket'] });
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+const EVENT_TIMEOUT_MS = 5000;
 
-socket.on('connect', () => {
-  console.log('Connected to Socket.IO server, socket id:', socket.id);
+/**
+ * Send a JSON request to the API and resolve with `{ status, body }`.
+ */
+const request = (method, path, body, token) =>
+  new Promise((resolve, reject) => {
+    const url = new URL(path, API_URL);
+    const payload = body ? JSON.stringify(body) : null;
+    const client = url.protocol === 'https:' ? https : http;
 
-  // ✅ Replace '67a7cfa24ac1ab925c2a1a7c' with an actual employerId from your database
-  // To get a valid employerId:
-  // - Check your MongoDB database (`db.employers.findOne()` in MongoDB shell)
-  // - Use a valid employer ID returned by the `/api/auth/register` or `/api/auth/login` API
-  socket.emit('register', { employerId: '67a7cfa24ac1ab925c2a1a7c' });
-});
+    const req = client.request(
+      url,
+      {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(payload && { 'Content-Length': Buffer.byteLength(payload) }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+      },
+      (res) => {
+        let data = '';
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () => {
+          let parsed = data;
+          try {
+            parsed = JSON.parse(data);
+          } catch (err) {
+            // Not JSON; keep the raw text
+          }
+          resolve({ status: res.statusCode, body: parsed });
+        });
+      },
+    );
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
 
-socket.on('newApplication', (data) => {
-  console.log('Received new application:', data);
-});
+/**
+ * Make an API request and fail unless it returns the expected status.
+ */
+const expectStatus = async (expected, method, path, body, token) => {
+  const res = await request(method, path, body, token);
+  if (res.status !== expected) {
+    throw new Error(
+      `${method} ${path} returned ${res.status}, expected ${expected}: ${JSON.stringify(res.body)}`,
+    );
+  }
+  return res.body;
+};
+
+/**
+ * Open a socket with the given handshake `auth` data.
+ */
+const openSocket = (auth) =>
+  io(API_URL, { transports: ['websocket'], reconnection: false, auth });
+
+/**
+ * Connect a socket and resolve once connected, or reject with the
+ * server's connection error.
+ */
+const connect = (token) =>
+  new Promise((resolve, reject) => {
+    const socket = openSocket(token ? { token } : {});
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', (err) => {
+      socket.close();
+      reject(err);
+    });
+  });
+
+/**
+ * Resolve with the first `event` payload matching `predicate`.
+ */
+const waitForEvent = (socket, event, predicate = () => true) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`Timed out waiting for '${event}'`));
+    }, EVENT_TIMEOUT_MS);
+
+    function listener(payload) {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    }
+    socket.on(event, listener);
+  });
+
+const pass = (message) => console.log(`✅ ${message}`);
+
+/**
+ * Sign in with the configured employer, or register a throwaway one.
+ */
+const signIn = async () => {
+  let email = process.env.EMPLOYER_EMAIL;
+  let password = process.env.EMPLOYER_PASSWORD;
+
+  if (!email || !password) {
+    email = `socket-test-${Date.now()}@example.com`;
+    password = 'socket-test-password';
+    await expectStatus(201, 'POST', '/api/auth/register', {
+      name: 'Socket Test',
+      email,
+      password,
+    });
+  }
+
+  const { token } = await expectStatus(200, 'POST', '/api/auth/login', {
+    email,
+    password,
+  });
+  return token;
+};
+
+const run = async () => {
+  const sockets = [];
+  let jobId;
+  let token;
+
+  try {
+    // 1️⃣ Unauthenticated connections are refused
+    for (const badToken of [null, 'not-a-valid-token']) {
+      try {
+        const socket = await connect(badToken);
+        socket.close();
+        throw new Error('Connected without a valid token');
+      } catch (err) {
+        if (err.message === 'Connected without a valid token') throw err;
+        pass(
+          `Refused ${badToken ? 'invalid' : 'missing'} token: ${err.message}`,
+        );
+      }
+    }
+
+    // 2️⃣ Two devices of the same employer connect
+    token = await signIn();
+    sockets.push(await connect(token), await connect(token));
+    pass('Connected two authenticated devices');
+
+    // 3️⃣ Both devices receive new applications
+    const job = await expectStatus(
+      201,
+      'POST',
+      '/api/jobs',
+      {
+        title: 'Socket Test Engineer',
+        description: 'Created by test-socket.js',
+        location: 'Remote',
+        salaryRange: { min: 1, max: 2 },
+      },
+      token,
+    );
+    jobId = job._id;
+
+    const isForJob = (payload) => payload.jobId === jobId;
+    const received = Promise.all(
+      sockets.map((socket) => waitForEvent(socket, 'newApplication', isForJob)),
+    );
+    const application = await expectStatus(
+      201,
+      'POST',
+      `/api/applications/${jobId}/apply`,
+      { candidateName: 'Socket Tester', candidateEmail: 'tester@example.com' },
+    );
+    await received;
+    pass('Both devices received newApplication');
+
+    // 4️⃣ Application status changes
+    const statusChanged = waitForEvent(
+      sockets[0],
+      'applicationStatusChanged',
+      (payload) => payload.applicationId === application._id,
+    );
+    await expectStatus(
+      200,
+      'PATCH',
+      `/api/applications/${application._id}/status`,
+      { status: 'screening' },
+      token,
+    );
+    const change = await statusChanged;
+    pass(
+      `Received applicationStatusChanged: ${change.previousStatus} → ${change.status}`,
+    );
+
+    // 5️⃣ Job updates and status changes
+    const updated = waitForEvent(sockets[1], 'jobUpdated', isForJob);
+    await expectStatus(
+      200,
+      'PUT',
+      `/api/jobs/${jobId}`,
+      { title: 'Senior Socket Test Engineer' },
+      token,
+    );
+    const { notificationId } = await updated;
+    pass('Received jobUpdated');
+
+    // 6️⃣ A device that was offline gets what it missed when it reconnects
+    sockets[1].close();
+    const jobStatusChanged = waitForEvent(
+      sockets[0],
+      'jobStatusChanged',
+      isForJob,
+    );
+    await expectStatus(
+      200,
+      'PATCH',
+      `/api/jobs/${jobId}/status`,
+      { status: 'closed' },
+      token,
+    );
+    const jobChange = await jobStatusChanged;
+    pass(
+      `Received jobStatusChanged: ${jobChange.previousStatus} → ${jobChange.status}`,
+    );
+
+    sockets[1] = openSocket({ token, lastNotificationId: notificationId });
+    const replayed = await waitForEvent(
+      sockets[1],
+      'jobStatusChanged',
+      isForJob,
+    );
+    if (replayed.notificationId !== jobChange.notificationId) {
+      throw new Error('Replayed a different notification');
+    }
+    pass('Replayed jobStatusChanged after reconnecting');
+
+    console.log('🎉 All real-time notification checks passed');
+  } finally {
+    sockets.forEach((socket) => socket.close());
+    if (jobId) {
+      // Archives the job, since it has an application
+      await request('DELETE', `/api/jobs/${jobId}`, null, token).catch(
+        () => {},
+      );
+    }
+  }
+};
 
-socket.on('disconnect', () => {
-  console.log('Disconnected from server');
+run().catch((err) => {
+  console.error('❌', err.message);
+  process.exitCode = 1;
 });